@@ -0,0 +1,241 @@
+const path = require('path')
+const { getFileContent, getUrlContent } = require('./load')
+const { parse } = require('./parse')
+const { createTypeIdentifier } = require('./utils')
+
+module.exports = {
+  bundle,
+}
+
+/**
+ * component sections which external references are added to. references to
+ * anything else (e.g. path items or examples) are inlined.
+ */
+const componentSections = [
+  'schemas',
+  'parameters',
+  'requestBodies',
+  'responses',
+]
+
+/**
+ * resolves references to other files and urls, and adds the referenced
+ * objects to the document's components, so the bundled document only
+ * contains local references.
+ */
+async function bundle({ openApiDocument, location }) {
+  const rootLocation = isUrl(location) ? location : path.resolve(location)
+  const documents = new Map([[rootLocation, openApiDocument]])
+  const bundledRefs = new Map()
+  const componentNames = {}
+  const bundledComponents = {}
+  const inlinedRefs = new Set()
+
+  const { components = {} } = openApiDocument
+  componentSections.forEach((section) => {
+    componentNames[section] = new Set(
+      Object.keys(components[section] || {}).map((name) =>
+        createTypeIdentifier(name)
+      )
+    )
+    bundledComponents[section] = {}
+  })
+  // external references in the document's own components keep their name
+  Object.entries(components).forEach(([section, entries]) => {
+    Object.entries(entries || {}).forEach(([name, component]) => {
+      if (component && typeof component.$ref === 'string') {
+        const [refLocation, pointer] = splitRef(component.$ref, rootLocation)
+        if (refLocation !== rootLocation) {
+          const key = `${refLocation}#${pointer}`
+          if (!bundledRefs.has(key)) {
+            bundledRefs.set(key, createComponentRef(section, name))
+          }
+        }
+      }
+    })
+  })
+
+  async function load(location) {
+    if (!documents.has(location)) {
+      documents.set(location, await loadDocument(location))
+    }
+    return documents.get(location)
+  }
+
+  async function resolveNode(node, base, keys) {
+    if (Array.isArray(node)) {
+      const resolved = []
+      for (const [index, value] of node.entries()) {
+        resolved.push(await resolveNode(value, base, [...keys, String(index)]))
+      }
+      return resolved
+    }
+    if (node == null || typeof node !== 'object') return node
+    if (typeof node.$ref === 'string') return resolveReference(node, base, keys)
+
+    const resolved = {}
+    for (const [key, value] of Object.entries(node)) {
+      resolved[key] = await resolveNode(value, base, [...keys, key])
+    }
+    return resolved
+  }
+
+  async function resolveReference(node, base, keys) {
+    const [refLocation, pointer] = splitRef(node.$ref, base)
+    if (refLocation === rootLocation) {
+      return { ...node, $ref: `#${pointer}` }
+    }
+
+    const key = `${refLocation}#${pointer}`
+    const isOwnComponent =
+      base === rootLocation &&
+      keys.length === 3 &&
+      keys[0] === 'components' &&
+      bundledRefs.get(key) === createComponentRef(keys[1], keys[2])
+    if (isOwnComponent) {
+      return inline(node, refLocation, pointer, keys)
+    }
+
+    if (!bundledRefs.has(key)) {
+      const section = getComponentSection(keys)
+      if (!section) return inline(node, refLocation, pointer, keys)
+
+      const name = createComponentName(section, refLocation, pointer)
+      bundledRefs.set(key, createComponentRef(section, name))
+      const target = getByPointer(await load(refLocation), pointer, key)
+      // we register the component before resolving its content to support circular references
+      bundledComponents[section][name] = await resolveNode(
+        target,
+        refLocation,
+        ['components', section, name]
+      )
+    }
+    return { ...node, $ref: bundledRefs.get(key) }
+  }
+
+  async function inline(node, refLocation, pointer, keys) {
+    const key = `${refLocation}#${pointer}`
+    if (inlinedRefs.has(key)) {
+      throw new Error(`Circular $ref ${node.$ref} cannot be inlined.`)
+    }
+    inlinedRefs.add(key)
+    const target = getByPointer(await load(refLocation), pointer, key)
+    const resolved = await resolveNode(target, refLocation, keys)
+    inlinedRefs.delete(key)
+    return resolved
+  }
+
+  function createComponentName(section, refLocation, pointer) {
+    const segments = pointer.split('/').filter(Boolean)
+    const fileName = getFileName(refLocation)
+    const name =
+      segments.length !== 0 ? segments[segments.length - 1] : fileName
+    // prefix with the file name, and add a counter, to avoid name collisions
+    const candidates = [sanitize(name), sanitize(`${fileName}.${name}`)]
+    let uniqueName = candidates.find(
+      (candidate) =>
+        !componentNames[section].has(createTypeIdentifier(candidate))
+    )
+    for (let count = 2; uniqueName === undefined; count++) {
+      const candidate = `${candidates[1]}${count}`
+      if (!componentNames[section].has(createTypeIdentifier(candidate))) {
+        uniqueName = candidate
+      }
+    }
+    componentNames[section].add(createTypeIdentifier(uniqueName))
+    return uniqueName
+  }
+
+  const resolved = await resolveNode(openApiDocument, rootLocation, [])
+
+  const resolvedComponents = { ...resolved.components }
+  componentSections.forEach((section) => {
+    if (Object.keys(bundledComponents[section]).length !== 0) {
+      resolvedComponents[section] = {
+        ...resolvedComponents[section],
+        ...bundledComponents[section],
+      }
+    }
+  })
+
+  return {
+    openApiDocument: { ...resolved, components: resolvedComponents },
+    locations: Array.from(documents.keys()),
+  }
+}
+
+function getComponentSection(keys) {
+  const [key, parentKey] = keys.slice().reverse()
+  if (
+    ['schema', 'items', 'additionalProperties', 'not'].includes(key) ||
+    ['properties', '$defs', 'allOf', 'anyOf', 'oneOf', 'prefixItems'].includes(
+      parentKey
+    ) ||
+    (keys.length === 3 && keys[0] === 'components' && parentKey === 'schemas')
+  ) {
+    return 'schemas'
+  }
+  if (parentKey === 'parameters') {
+    return 'parameters'
+  }
+  if (key === 'requestBody' || parentKey === 'requestBodies') {
+    return 'requestBodies'
+  }
+  if (parentKey === 'responses') {
+    return 'responses'
+  }
+  return undefined
+}
+
+function createComponentRef(section, name) {
+  return `#/components/${section}/${name}`
+}
+
+function splitRef(ref, base) {
+  const index = ref.indexOf('#')
+  const target = index === -1 ? ref : ref.slice(0, index)
+  const pointer = index === -1 ? '' : ref.slice(index + 1)
+  if (target === '') return [base, pointer]
+  if (isUrl(target)) return [target, pointer]
+  if (isUrl(base)) return [new URL(target, base).toString(), pointer]
+  return [path.resolve(path.dirname(base), decodeURI(target)), pointer]
+}
+
+function getByPointer(document, pointer, key) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map((segment) =>
+      decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~')
+    )
+    .reduce((value, segment) => {
+      if (value == null || !(segment in value)) {
+        throw new Error(`Unknown $ref ${key}.`)
+      }
+      return value[segment]
+    }, document)
+}
+
+function getFileName(location) {
+  const pathname = isUrl(location) ? new URL(location).pathname : location
+  return path.basename(pathname).replace(/\.(json|ya?ml)$/, '')
+}
+
+function sanitize(name) {
+  // component names must match ^[a-zA-Z0-9.\-_]+$
+  return decodeURIComponent(name)
+    .replace(/~1/g, '/')
+    .replace(/~0/g, '~')
+    .replace(/[^a-zA-Z0-9.\-_]/g, '_')
+}
+
+function isUrl(location) {
+  return /^https?:\/\//.test(location)
+}
+
+async function loadDocument(location) {
+  const [content, format] = isUrl(location)
+    ? await getUrlContent(location)
+    : await getFileContent(location)
+  return parse(content, format)
+}
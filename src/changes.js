@@ -0,0 +1,779 @@
+const {
+  isRef,
+  resolveRef,
+  getTypeNameFromRef,
+  createOperationName,
+  capitalize,
+  typeVariants,
+  isDiscriminatorBaseSchema,
+  getDiscriminatorTargetRefs,
+  getParameterSchema,
+  getReturnType,
+  isIgnoredHeaderParameter,
+  mergeParameters,
+  HTTP_METHODS,
+} = require('./utils')
+
+module.exports = {
+  createDocumentModel,
+  compareDocumentModels,
+}
+
+/**
+ * creates a model of the operations and component schemas of a document,
+ * which only keeps what affects the generated client. the model is created
+ * in the context of the document, and keeps the type names of referenced
+ * schemas, so models of two documents can be compared outside of it.
+ */
+function createDocumentModel({ openApiDocument }) {
+  const schemas = {}
+  const { components } = openApiDocument
+  Object.entries((components && components.schemas) || {}).forEach(
+    ([name, schema]) => {
+      const ref = `#/components/schemas/${name}`
+      schemas[ref] = createComponentSchemaModel(ref, schema)
+    }
+  )
+
+  const operations = {}
+  Object.entries(openApiDocument.paths || {}).forEach(([path, pathItem]) => {
+    const sharedParameters = pathItem.parameters || []
+    Object.entries(pathItem)
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .forEach(([method, operation]) => {
+        const {
+          operationId,
+          parameters = [],
+          requestBody,
+          responses = {},
+        } = operation
+
+        const parameterModels = {}
+        mergeParameters(sharedParameters, parameters).forEach(
+          (parameterOrRef) => {
+            const parameter = resolveRef(parameterOrRef)
+            if (isIgnoredHeaderParameter(parameter)) return
+            parameterModels[`${parameter.in}:${parameter.name}`] = {
+              name: parameter.name,
+              in: parameter.in,
+              // see `createEndpoints`
+              required: parameter.in === 'path' || parameter.required === true,
+              schema: createSchemaModel(getParameterSchema(parameter)),
+            }
+          }
+        )
+
+        const responseModels = {}
+        Object.entries(responses).forEach(([statusCode, responseOrRef]) => {
+          responseModels[statusCode] = createContentModel(
+            resolveRef(responseOrRef).content
+          )
+        })
+
+        operations[`${method.toUpperCase()} ${path}`] = {
+          // see `createEndpoints`
+          name: createOperationName(operationId || `${method}${path}`),
+          parameters: parameterModels,
+          requestBody: requestBody
+            ? {
+                required: resolveRef(requestBody).required === true,
+                content: createContentModel(resolveRef(requestBody).content),
+              }
+            : undefined,
+          returnType: getReturnType(
+            Object.entries(responses)
+              .filter(([statusCode]) => statusCode.startsWith('2'))
+              .map(([, response]) => response)
+          ),
+          responses: responseModels,
+        }
+      })
+  })
+
+  return { schemas, operations }
+}
+
+function createContentModel(content = {}) {
+  const model = {}
+  Object.entries(content).forEach(([mediaType, { schema = {} }]) => {
+    model[mediaType] = createSchemaModel(schema)
+  })
+  return model
+}
+
+function createComponentSchemaModel(ref, schema) {
+  // see `createSchemaComponentType`
+  if (isDiscriminatorBaseSchema(schema)) {
+    const targetRefs = getDiscriminatorTargetRefs(schema.discriminator, ref)
+    if (targetRefs.length !== 0) {
+      return {
+        kind: 'union',
+        schemas: targetRefs.map((targetRef) =>
+          targetRef === ref
+            ? createSchemaModel(schema)
+            : createSchemaModel({ $ref: targetRef })
+        ),
+      }
+    }
+  }
+  return createSchemaModel(schema)
+}
+
+function createSchemaModel(schemaOrRef) {
+  if (isRef(schemaOrRef)) {
+    // component schemas are compared by name, which also stops at recursive schemas
+    if (schemaOrRef.$ref.startsWith('#/components/schemas/')) {
+      return {
+        kind: 'ref',
+        ref: schemaOrRef.$ref,
+        name: getTypeNameFromRef(schemaOrRef),
+      }
+    }
+    return createSchemaModel(resolveRef(schemaOrRef))
+  }
+
+  const schema = schemaOrRef
+  const nullable = schema.nullable === true
+
+  if (schema.allOf) {
+    return {
+      kind: 'allOf',
+      // see `createAllOfType`
+      schemas: schema.allOf.map((schemaOrRef) =>
+        isRef(schemaOrRef) && isDiscriminatorBaseSchema(schemaOrRef)
+          ? createSchemaModel(resolveRef(schemaOrRef))
+          : createSchemaModel(schemaOrRef)
+      ),
+      nullable,
+    }
+  }
+  if (schema.anyOf || schema.oneOf) {
+    return {
+      kind: 'union',
+      schemas: (schema.anyOf || schema.oneOf).map(createSchemaModel),
+      nullable,
+    }
+  }
+
+  switch (schema.type) {
+    case 'array':
+      return {
+        kind: 'array',
+        items: createSchemaModel(schema.items || {}),
+        nullable,
+      }
+    case 'object': {
+      const required = new Set(schema.required)
+      const properties = {}
+      Object.entries(schema.properties || {}).forEach(([name, property]) => {
+        const { readOnly, writeOnly } = resolveRef(property)
+        properties[name] = {
+          required: required.has(name),
+          readOnly: readOnly === true,
+          writeOnly: writeOnly === true,
+          schema: createSchemaModel(property),
+        }
+      })
+      const { additionalProperties } = schema
+      return {
+        kind: 'object',
+        properties,
+        additionalProperties:
+          additionalProperties !== null &&
+          typeof additionalProperties === 'object' &&
+          Object.keys(additionalProperties).length !== 0
+            ? createSchemaModel(additionalProperties)
+            : additionalProperties,
+        nullable,
+      }
+    }
+    default:
+      // a schema object without `type` allows any value, see `createScalarType`
+      return {
+        kind: schema.type || 'unknown',
+        format: schema.format,
+        enum: schema.enum,
+        nullable,
+      }
+  }
+}
+
+///
+
+/**
+ * compares the models of two documents, and returns the list of changes.
+ * changes are breaking when code using the client created from the base
+ * document could fail with the client created from the head document.
+ */
+function compareDocumentModels(base, head) {
+  const changes = []
+
+  Object.entries(base.operations).forEach(([key, baseOperation]) => {
+    const context = { base, head, operation: key, changes }
+    const headOperation = head.operations[key]
+    if (!headOperation) {
+      report(
+        context,
+        'operation-removed',
+        true,
+        undefined,
+        `Operation ${baseOperation.name} was removed.`
+      )
+      return
+    }
+    compareOperations(context, baseOperation, headOperation)
+  })
+
+  Object.entries(head.operations).forEach(([key, headOperation]) => {
+    if (base.operations[key]) return
+    report(
+      { base, head, operation: key, changes },
+      'operation-added',
+      false,
+      undefined,
+      `Operation ${headOperation.name} was added.`
+    )
+  })
+
+  return changes
+}
+
+function report(context, type, breaking, location, message) {
+  // the members of a union are compared at the same location, e.g. schemas
+  // which share the properties of a discriminator base schema
+  const isReported = context.changes.some(
+    (change) =>
+      change.operation === context.operation &&
+      change.type === type &&
+      change.location === location &&
+      change.message === message
+  )
+  if (isReported) return
+  context.changes.push({
+    type,
+    breaking,
+    operation: context.operation,
+    location,
+    message,
+  })
+}
+
+function compareOperations(context, base, head) {
+  if (base.name !== head.name) {
+    report(
+      context,
+      'operation-renamed',
+      true,
+      undefined,
+      `Operation ${base.name} was renamed to ${head.name}.`
+    )
+  }
+
+  Object.entries(base.parameters).forEach(([key, baseParameter]) => {
+    const location = `${baseParameter.in} parameter "${baseParameter.name}"`
+    const headParameter = head.parameters[key]
+    if (!headParameter) {
+      report(
+        context,
+        'parameter-removed',
+        true,
+        location,
+        `${capitalize(location)} was removed.`
+      )
+      return
+    }
+    compareRequired(context, baseParameter, headParameter, location, 'input')
+    compareSchemas(
+      context,
+      baseParameter.schema,
+      headParameter.schema,
+      { root: location, path: '' },
+      'input'
+    )
+  })
+  Object.entries(head.parameters).forEach(([key, headParameter]) => {
+    if (base.parameters[key]) return
+    const location = `${headParameter.in} parameter "${headParameter.name}"`
+    report(
+      context,
+      'parameter-added',
+      headParameter.required,
+      location,
+      headParameter.required
+        ? `Required ${location} was added.`
+        : `Optional ${location} was added.`
+    )
+  })
+
+  compareRequestBodies(context, base.requestBody, head.requestBody)
+
+  if (base.returnType !== head.returnType) {
+    report(
+      context,
+      'response-type-changed',
+      true,
+      'response',
+      `Response body is now decoded as ${head.returnType} instead of ${base.returnType}.`
+    )
+  }
+
+  Object.entries(base.responses).forEach(([statusCode, baseContent]) => {
+    const location = `${statusCode} response`
+    const headContent = head.responses[statusCode]
+    if (!headContent) {
+      report(
+        context,
+        'response-removed',
+        false,
+        location,
+        `${capitalize(location)} was removed.`
+      )
+      return
+    }
+    compareContent(context, baseContent, headContent, location, 'output')
+  })
+  Object.entries(head.responses).forEach(([statusCode, headContent]) => {
+    if (base.responses[statusCode]) return
+    const location = `${statusCode} response`
+    // clients only handle the success responses they know about
+    const breaking =
+      statusCode.startsWith('2') && Object.keys(headContent).length !== 0
+    report(
+      context,
+      'response-added',
+      breaking,
+      location,
+      `${capitalize(location)} was added.`
+    )
+  })
+}
+
+function compareRequestBodies(context, base, head) {
+  const location = 'request body'
+  if (!base && !head) return
+  if (!head) {
+    report(
+      context,
+      'request-body-removed',
+      true,
+      location,
+      'Request body was removed.'
+    )
+    return
+  }
+  if (!base) {
+    report(
+      context,
+      'request-body-added',
+      head.required,
+      location,
+      head.required
+        ? 'Required request body was added.'
+        : 'Optional request body was added.'
+    )
+    return
+  }
+  compareRequired(context, base, head, location, 'input')
+  compareContent(context, base.content, head.content, location, 'input')
+}
+
+function compareContent(context, base, head, location, variant) {
+  Object.entries(base).forEach(([mediaType, baseSchema]) => {
+    const mediaTypeLocation = `${location} (${mediaType})`
+    const headSchema = head[mediaType]
+    if (!headSchema) {
+      // clients can no longer send this media type, but don't need to handle it anymore
+      report(
+        context,
+        'media-type-removed',
+        variant === 'input',
+        mediaTypeLocation,
+        `${capitalize(mediaTypeLocation)} was removed.`
+      )
+      return
+    }
+    compareSchemas(
+      context,
+      baseSchema,
+      headSchema,
+      { root: mediaTypeLocation, path: '' },
+      variant
+    )
+  })
+  Object.keys(head).forEach((mediaType) => {
+    if (base[mediaType]) return
+    const mediaTypeLocation = `${location} (${mediaType})`
+    report(
+      context,
+      'media-type-added',
+      false,
+      mediaTypeLocation,
+      `${capitalize(mediaTypeLocation)} was added.`
+    )
+  })
+}
+
+/**
+ * compares whether parameters, request bodies or properties are required.
+ * clients must send what becomes required, and can no longer rely on
+ * receiving what becomes optional.
+ */
+function compareRequired(context, base, head, location, variant) {
+  if (base.required === head.required) return
+  report(
+    context,
+    head.required ? 'became-required' : 'became-optional',
+    variant === 'input' ? head.required : base.required,
+    location,
+    `${capitalize(location)} is now ${head.required ? 'required' : 'optional'}.`
+  )
+}
+
+function compareSchemas(
+  context,
+  baseSchema,
+  headSchema,
+  location,
+  variant,
+  seen = []
+) {
+  // recursive schemas are only compared once on the same path
+  const key = `${baseSchema.ref}:${headSchema.ref}`
+  if ((baseSchema.ref || headSchema.ref) && seen.includes(key)) return
+  const nextSeen = seen.concat(key)
+
+  const base = resolveSchemaModel(context.base, baseSchema)
+  const head = resolveSchemaModel(context.head, headSchema)
+  const description = formatLocation(location)
+
+  if (base.kind !== head.kind) {
+    if (base.kind === 'integer' && head.kind === 'number') {
+      // clients can still send integers, but might receive fractions
+      report(
+        context,
+        'type-changed',
+        variant === 'output',
+        description,
+        `${capitalize(description)} changed type from integer to number.`
+      )
+    } else if (base.kind === 'number' && head.kind === 'integer') {
+      report(
+        context,
+        'type-changed',
+        variant === 'input',
+        description,
+        `${capitalize(description)} changed type from number to integer.`
+      )
+    } else {
+      // any value is allowed for schemas without type
+      const breaking =
+        base.kind === 'unknown'
+          ? variant === 'input'
+          : head.kind === 'unknown'
+          ? variant === 'output'
+          : true
+      report(
+        context,
+        'type-changed',
+        breaking,
+        description,
+        `${capitalize(description)} changed type from ${describeSchemaModel(
+          baseSchema
+        )} to ${describeSchemaModel(headSchema)}.`
+      )
+    }
+    return
+  }
+
+  if (Boolean(base.nullable) !== Boolean(head.nullable)) {
+    report(
+      context,
+      'nullable-changed',
+      variant === 'input' ? Boolean(base.nullable) : Boolean(head.nullable),
+      description,
+      `${capitalize(description)} is ${
+        head.nullable ? 'now' : 'no longer'
+      } nullable.`
+    )
+  }
+
+  if (base.format !== head.format) {
+    report(
+      context,
+      'format-changed',
+      true,
+      description,
+      `${capitalize(description)} changed format from ${
+        base.format || 'none'
+      } to ${head.format || 'none'}.`
+    )
+  }
+
+  compareEnums(context, base.enum, head.enum, description, variant)
+
+  switch (base.kind) {
+    case 'array':
+      compareSchemas(
+        context,
+        base.items,
+        head.items,
+        { ...location, path: `${location.path}[]` },
+        variant,
+        nextSeen
+      )
+      return
+    case 'object':
+      compareObjects(context, base, head, location, variant, nextSeen)
+      return
+    case 'union':
+      compareUnions(context, base, head, location, variant, nextSeen)
+      return
+    case 'allOf':
+      if (base.schemas.length !== head.schemas.length) {
+        report(
+          context,
+          'type-changed',
+          true,
+          description,
+          `${capitalize(description)} changed type.`
+        )
+        return
+      }
+      base.schemas.forEach((schema, index) =>
+        compareSchemas(
+          context,
+          schema,
+          head.schemas[index],
+          location,
+          variant,
+          nextSeen
+        )
+      )
+      return
+    default:
+  }
+}
+
+function compareEnums(context, baseValues, headValues, location, variant) {
+  if (!baseValues && !headValues) return
+  const description = capitalize(location)
+  if (!baseValues) {
+    report(
+      context,
+      'enum-narrowed',
+      variant === 'input',
+      location,
+      `${description} is now restricted to ${formatValues(headValues)}.`
+    )
+    return
+  }
+  if (!headValues) {
+    report(
+      context,
+      'enum-widened',
+      variant === 'output',
+      location,
+      `${description} is no longer restricted to ${formatValues(baseValues)}.`
+    )
+    return
+  }
+  const removedValues = getMissingValues(baseValues, headValues)
+  const addedValues = getMissingValues(headValues, baseValues)
+  if (removedValues.length !== 0) {
+    report(
+      context,
+      'enum-narrowed',
+      variant === 'input',
+      location,
+      `${description} no longer allows ${formatValues(removedValues)}.`
+    )
+  }
+  if (addedValues.length !== 0) {
+    report(
+      context,
+      'enum-widened',
+      variant === 'output',
+      location,
+      `${description} now allows ${formatValues(addedValues)}.`
+    )
+  }
+}
+
+function compareObjects(context, base, head, location, variant, seen) {
+  // see `isExcludedFromTypeVariant`
+  const { excludedKeyword } = typeVariants[variant]
+  const baseProperties = getIncludedProperties(base, excludedKeyword)
+  const headProperties = getIncludedProperties(head, excludedKeyword)
+
+  Object.entries(baseProperties).forEach(([name, baseProperty]) => {
+    const propertyLocation = {
+      ...location,
+      path: location.path ? `${location.path}.${name}` : name,
+    }
+    const description = formatLocation(propertyLocation)
+    const headProperty = headProperties[name]
+    if (!headProperty) {
+      // sending an unknown property only fails when additional properties are not allowed
+      report(
+        context,
+        'property-removed',
+        variant === 'output' || head.additionalProperties === false,
+        description,
+        `${capitalize(description)} was removed.`
+      )
+      return
+    }
+    compareRequired(context, baseProperty, headProperty, description, variant)
+    compareSchemas(
+      context,
+      baseProperty.schema,
+      headProperty.schema,
+      propertyLocation,
+      variant,
+      seen
+    )
+  })
+
+  Object.entries(headProperties).forEach(([name, headProperty]) => {
+    if (baseProperties[name]) return
+    const description = formatLocation({
+      ...location,
+      path: location.path ? `${location.path}.${name}` : name,
+    })
+    const breaking = variant === 'input' && headProperty.required
+    report(
+      context,
+      'property-added',
+      breaking,
+      description,
+      breaking
+        ? `Required ${description} was added.`
+        : `${capitalize(description)} was added.`
+    )
+  })
+
+  if (
+    typeof base.additionalProperties === 'object' &&
+    typeof head.additionalProperties === 'object'
+  ) {
+    compareSchemas(
+      context,
+      base.additionalProperties,
+      head.additionalProperties,
+      { ...location, path: `${location.path}[key]` },
+      variant,
+      seen
+    )
+  }
+}
+
+function compareUnions(context, base, head, location, variant, seen) {
+  const description = formatLocation(location)
+  // union members are matched by their definition, referenced schemas by name
+  const baseMembers = new Map(
+    base.schemas.map((schema) => [JSON.stringify(schema), schema])
+  )
+  const headMembers = new Map(
+    head.schemas.map((schema) => [JSON.stringify(schema), schema])
+  )
+
+  baseMembers.forEach((schema, key) => {
+    if (headMembers.has(key)) {
+      compareSchemas(
+        context,
+        schema,
+        headMembers.get(key),
+        location,
+        variant,
+        seen
+      )
+      return
+    }
+    report(
+      context,
+      'union-narrowed',
+      variant === 'input',
+      description,
+      `${capitalize(description)} no longer allows ${describeSchemaModel(
+        schema
+      )}.`
+    )
+  })
+  headMembers.forEach((schema, key) => {
+    if (baseMembers.has(key)) return
+    report(
+      context,
+      'union-widened',
+      variant === 'output',
+      description,
+      `${capitalize(description)} now allows ${describeSchemaModel(schema)}.`
+    )
+  })
+}
+
+/**
+ * follows references to component schemas, and merges intersections of
+ * object schemas.
+ */
+function resolveSchemaModel(model, schema) {
+  if (schema.kind === 'ref') {
+    return resolveSchemaModel(model, model.schemas[schema.ref] || {})
+  }
+  if (schema.kind !== 'allOf') return schema
+
+  const schemas = schema.schemas.map((schema) =>
+    resolveSchemaModel(model, schema)
+  )
+  if (!schemas.every((schema) => schema.kind === 'object')) return schema
+  const merged = {
+    kind: 'object',
+    properties: {},
+    additionalProperties: undefined,
+    nullable: schema.nullable,
+  }
+  schemas.forEach(({ properties }) => {
+    Object.entries(properties).forEach(([name, property]) => {
+      const existing = merged.properties[name]
+      merged.properties[name] = existing
+        ? { ...property, required: existing.required || property.required }
+        : property
+    })
+  })
+  return merged
+}
+
+function getIncludedProperties(schema, excludedKeyword) {
+  const properties = {}
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    if (property[excludedKeyword]) return
+    properties[name] = property
+  })
+  return properties
+}
+
+function getMissingValues(values, otherValues) {
+  const otherKeys = new Set(otherValues.map((value) => JSON.stringify(value)))
+  return values.filter((value) => !otherKeys.has(JSON.stringify(value)))
+}
+
+function describeSchemaModel(schema) {
+  switch (schema.kind) {
+    case 'ref':
+      return schema.name
+    case 'array':
+      return `array of ${describeSchemaModel(schema.items)}`
+    case 'allOf':
+      return 'intersection'
+    default:
+      if (schema.enum) return formatValues(schema.enum)
+      return schema.format ? `${schema.kind} (${schema.format})` : schema.kind
+  }
+}
+
+function formatValues(values) {
+  return values.map((value) => JSON.stringify(value)).join(', ')
+}
+
+function formatLocation({ root, path }) {
+  return path ? `${root} property "${path}"` : root
+}
@@ -1,11 +1,14 @@
 #!/usr/bin/env node
 
 const path = require('path')
-const { promises: fs, existsSync } = require('fs')
+const { promises: fs, existsSync, watch } = require('fs')
 const parseParams = require('mri')
-const got = require('got')
-const { generate } = require('./index')
+const { createTwoFilesPatch } = require('diff')
+const { generate, generateMocks, diff } = require('./index')
 const { parse } = require('./parse')
+const { bundle } = require('./bundle')
+const { getFileContent, getUrlContent } = require('./load')
+const { loadConfig, getClientOptions } = require('./config')
 
 const log = {
   success(...message) {
@@ -22,96 +25,531 @@ const log = {
   },
 }
 
-main()
+/**
+ * distinct exit codes, so that scripts can react to the kind of failure.
+ */
+const exitCodes = {
+  unexpectedError: 1,
+  invalidOptions: 2,
+  configError: 3,
+  moduleError: 4,
+  readError: 5,
+  parseError: 6,
+  bundleError: 7,
+  generateError: 8,
+  writeError: 9,
+  checkFailed: 10,
+  breakingChanges: 11,
+}
+
+main().catch((error) => {
+  log.error('Unexpected error.', error)
+  process.exitCode = exitCodes.unexpectedError
+})
 
 async function main() {
-  const {
-    help,
-    file,
-    url,
-    outputPath,
-    preProcess,
-    validate,
-    imports,
-    request,
-    endpoint,
-  } = getOptions()
-
-  if (help) {
+  const options = getOptions()
+
+  if (options.help) {
+    showHelp()
+    return Promise.resolve()
+  }
+
+  if (options.command === 'diff') {
+    process.exitCode = await diffDocuments(options)
+    return Promise.resolve()
+  }
+
+  if (options.watch && options.check) {
+    log.error('Specify only one of `watch` or `check`.\n')
     showHelp()
+    process.exitCode = exitCodes.invalidOptions
     return Promise.resolve()
   }
 
+  let clients = [options]
+  // without input source, the clients are defined in a config file
+  if (!options.file && !options.url) {
+    try {
+      const config = await loadConfig(options.config)
+      if (config) {
+        clients = getClientOptions(config, options.clients)
+        if (clients.length === 0) {
+          log.error(`No clients defined in ${config.configPath}.`)
+          process.exitCode = exitCodes.configError
+          return Promise.resolve()
+        }
+      }
+    } catch (error) {
+      log.error('Failed to load config.', error)
+      process.exitCode = exitCodes.configError
+      return Promise.resolve()
+    }
+  }
+
+  for (const client of clients) {
+    const error = getOptionsError(client)
+    if (error) {
+      log.error(client.name ? `${error} (client "${client.name}")` : error)
+      showHelp()
+      process.exitCode = exitCodes.invalidOptions
+      return Promise.resolve()
+    }
+  }
+
+  if (options.watch) {
+    // watchers report their errors, and keep running
+    await Promise.all(clients.map((client) => watchFiles(client)))
+    return Promise.resolve()
+  }
+
+  // clients are created one after the other, so that their output isn't interleaved
+  for (const client of clients) {
+    if (client.name) {
+      log.info(`Creating client "${client.name}".`)
+    }
+    const { exitCode } = await build({ ...client, check: options.check })
+    // keep the exit code of the first failing client
+    if (exitCode !== 0 && !process.exitCode) {
+      process.exitCode = exitCode
+    }
+  }
+}
+
+function getOptionsError({ file, url, outputPath, config, clients = [] }) {
   if (
     (!file || typeof file !== 'string') &&
     (!url || typeof url !== 'string')
   ) {
-    log.error('Requires either `file` or `url` argument.\n')
-    showHelp()
-    return Promise.resolve()
+    return 'Requires either `file` or `url` argument.\n'
   }
 
   if (file && url) {
-    log.error('Specify only one of `file` or `url` as input source.\n')
-    showHelp()
-    return Promise.resolve()
+    return 'Specify only one of `file` or `url` as input source.\n'
+  }
+
+  // clients in config files are only used without input source
+  if (config || clients.length !== 0) {
+    return 'Specify either `file` or `url`, or `config` and client names.\n'
   }
 
   if (!outputPath || typeof outputPath !== 'string') {
-    log.error('Requires output argument.\n')
-    showHelp()
-    return Promise.resolve()
+    return 'Requires output argument.\n'
   }
 
-  const [raw, format] = file
-    ? await getFileContent(file)
-    : await getUrlContent(url)
+  return undefined
+}
 
-  let parsed
+/**
+ * creates the client, and returns the paths of all files it was created from,
+ * together with the exit code.
+ */
+async function build({
+  file,
+  url,
+  outputPath,
+  preProcess,
+  validate,
+  imports,
+  request,
+  endpoint,
+  target,
+  baseUrl,
+  validation,
+  enums,
+  interfaces,
+  collisions,
+  include,
+  exclude,
+  mocksPath,
+  check,
+}) {
+  const location = file ? path.resolve(process.cwd(), file) : url
+  const files = [location]
+
+  let modules
   try {
-    parsed = parse(raw, format)
+    // modules can also be functions when defined in a config file
+    modules = [
+      preProcess,
+      validate,
+      imports,
+      request,
+      endpoint,
+    ].map((modulePath) =>
+      typeof modulePath === 'string' ? require.resolve(modulePath) : modulePath
+    )
+    files.push(...modules.filter((module) => typeof module === 'string'))
   } catch (error) {
-    log.error('Failed to parse document.', error)
-    return Promise.resolve()
+    log.error('Failed to resolve modules.', error)
+    return { files, exitCode: exitCodes.moduleError }
   }
 
-  const preProcessFileContent = preProcess && require(preProcess)
-  const validateFileContent = validate && require(validate)
-  const importsFileContent = imports && require(imports)
-  const requestFileContent = request && require(request)
-  const endpointFileContent = endpoint && require(endpoint)
+  const {
+    openApiDocument: bundled,
+    locations,
+    exitCode: loadExitCode,
+  } = await loadDocument(location, Boolean(url))
+  files.push(...locations)
+  if (loadExitCode !== 0) {
+    return { files, exitCode: loadExitCode }
+  }
 
-  let client
+  let moduleFileContents
   try {
-    client = await generate({
-      openApiDocument: parsed,
+    moduleFileContents = modules.map((module) =>
+      typeof module === 'string' ? requireFresh(module) : module
+    )
+  } catch (error) {
+    log.error('Failed to load modules.', error)
+    return { files, exitCode: exitCodes.moduleError }
+  }
+  const [
+    preProcessFileContent,
+    validateFileContent,
+    importsFileContent,
+    requestFileContent,
+    endpointFileContent,
+  ] = moduleFileContents
+
+  const clientPath = path.resolve(process.cwd(), outputPath)
+  const outputs = []
+
+  try {
+    const client = await generate({
+      openApiDocument: bundled,
+      target,
+      baseUrl,
+      validation,
+      enums,
+      interfaces,
+      collisions,
+      include,
+      exclude,
       preProcess: preProcessFileContent,
       validate: validateFileContent,
       createImports: importsFileContent,
       createRequestFunction: requestFileContent,
       createEndpoint: endpointFileContent,
     })
+    outputs.push({
+      absolutePath: clientPath,
+      content: client,
+      description: 'OpenAPI client',
+    })
   } catch (error) {
     log.error('Failed to generate openapi client.', error)
-    return Promise.resolve()
+    return { files, exitCode: exitCodes.generateError }
   }
 
-  try {
-    const absolutePath = path.join(process.cwd(), outputPath)
-    const absoluteDir = path.dirname(absolutePath)
-    if (!existsSync(absoluteDir)) {
-      await fs.mkdir(absoluteDir, { recursive: true })
+  if (mocksPath && typeof mocksPath === 'string') {
+    const absolutePath = path.resolve(process.cwd(), mocksPath)
+    // the mocks import the types from the generated client
+    const clientModule = path
+      .relative(path.dirname(absolutePath), clientPath)
+      .replace(/\.ts$/, '')
+      .split(path.sep)
+      .join('/')
+
+    try {
+      const mocks = await generateMocks({
+        openApiDocument: bundled,
+        preProcess: preProcessFileContent,
+        validate: validateFileContent,
+        // the helpers and options of the client determine its names
+        target,
+        baseUrl,
+        validation,
+        enums,
+        collisions,
+        createImports: importsFileContent,
+        createRequestFunction: requestFileContent,
+        include,
+        exclude,
+        clientModule: clientModule.startsWith('.')
+          ? clientModule
+          : `./${clientModule}`,
+      })
+      outputs.push({
+        absolutePath,
+        content: mocks,
+        description: 'mock request handlers',
+      })
+    } catch (error) {
+      log.error('Failed to generate mock request handlers.', error)
+      return { files, exitCode: exitCodes.generateError }
+    }
+  }
+
+  if (check) {
+    let exitCode = 0
+    for (const { absolutePath, content } of outputs) {
+      let patch
+      try {
+        patch = await checkFile(absolutePath, content)
+      } catch (error) {
+        log.error(`Failed to read ${absolutePath}.`, error)
+        return { files, exitCode: exitCodes.readError }
+      }
+      if (patch) {
+        log.error(`${absolutePath} is out of date.`)
+        console.log(patch)
+        exitCode = exitCodes.checkFailed
+      } else {
+        log.success(`${absolutePath} is up to date.`)
+      }
     }
-    await fs.writeFile(absolutePath, client, {
-      encoding: 'utf-8',
+    return { files, exitCode }
+  }
+
+  for (const { absolutePath, content, description } of outputs) {
+    try {
+      if (await writeFile(absolutePath, content)) {
+        log.success(`Successfully created ${description} at ${absolutePath}.`)
+      } else {
+        log.info(`${absolutePath} is up to date.`)
+      }
+    } catch (error) {
+      log.error(`Failed to write ${absolutePath}.`, error)
+      return { files, exitCode: exitCodes.writeError }
+    }
+  }
+
+  return { files, exitCode: 0 }
+}
+
+/**
+ * reads, parses and bundles a document. returns the bundled document and the
+ * paths of referenced documents, or the exit code when one of the steps failed.
+ */
+async function loadDocument(location, isUrl) {
+  let content
+  try {
+    content = isUrl
+      ? await getUrlContent(location)
+      : await getFileContent(location)
+  } catch (error) {
+    log.error(`Failed to read document ${location}.`, error)
+    return { locations: [], exitCode: exitCodes.readError }
+  }
+  const [raw, format] = content
+
+  let parsed
+  try {
+    parsed = parse(raw, format)
+  } catch (error) {
+    log.error(`Failed to parse document ${location}.`, error)
+    return { locations: [], exitCode: exitCodes.parseError }
+  }
+
+  try {
+    const { openApiDocument, locations } = await bundle({
+      openApiDocument: parsed,
+      location,
     })
-    log.success(`Successfully created OpenAPI client at ${absolutePath}.`)
+    return { openApiDocument, locations, exitCode: 0 }
   } catch (error) {
-    log.error('Failed to write output.', error)
-    return Promise.resolve()
+    log.error('Failed to resolve external references.', error)
+    return { locations: [], exitCode: exitCodes.bundleError }
   }
 }
 
+/**
+ * reports the changes between two versions of a document, and returns the
+ * exit code.
+ */
+async function diffDocuments({ base, head, preProcess, validate, json }) {
+  if (!base || typeof base !== 'string' || !head || typeof head !== 'string') {
+    log.error('Requires `base` and `head` arguments.\n')
+    showHelp()
+    return exitCodes.invalidOptions
+  }
+
+  let modules
+  try {
+    modules = [preProcess, validate].map((modulePath) =>
+      typeof modulePath === 'string' ? require(modulePath) : modulePath
+    )
+  } catch (error) {
+    log.error('Failed to load modules.', error)
+    return exitCodes.moduleError
+  }
+  const [preProcessFileContent, validateFileContent] = modules
+
+  const documents = []
+  for (const location of [base, head]) {
+    const isUrl = /^https?:\/\//i.test(location)
+    const { openApiDocument, exitCode } = await loadDocument(
+      isUrl ? location : path.resolve(process.cwd(), location),
+      isUrl
+    )
+    if (exitCode !== 0) return exitCode
+    documents.push(openApiDocument)
+  }
+
+  let result
+  try {
+    result = await diff({
+      base: documents[0],
+      head: documents[1],
+      preProcess: preProcessFileContent,
+      validate: validateFileContent,
+    })
+  } catch (error) {
+    log.error('Failed to compare documents.', error)
+    return exitCodes.generateError
+  }
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2))
+  } else {
+    printChanges(result.changes)
+  }
+
+  return result.breaking ? exitCodes.breakingChanges : 0
+}
+
+function printChanges(changes) {
+  if (changes.length === 0) {
+    log.success('No changes.')
+    return
+  }
+
+  // group changes by operation
+  const operations = new Map()
+  changes.forEach((change) => {
+    if (!operations.has(change.operation)) {
+      operations.set(change.operation, [])
+    }
+    operations.get(change.operation).push(change)
+  })
+  operations.forEach((operationChanges, operation) => {
+    console.log(operation)
+    operationChanges.forEach(({ breaking, message }) => {
+      console.log(`  ${breaking ? '✖ breaking:' : '•'} ${message}`)
+    })
+    console.log('')
+  })
+
+  const breakingChanges = changes.filter(({ breaking }) => breaking)
+  const summary = `${breakingChanges.length} breaking, ${
+    changes.length - breakingChanges.length
+  } non-breaking changes.`
+  if (breakingChanges.length !== 0) {
+    log.error(summary)
+  } else {
+    log.success(summary)
+  }
+}
+
+/**
+ * rebuilds when the input document, any referenced document, or any of the
+ * custom modules changes.
+ */
+async function watchFiles(options) {
+  const files = new Set()
+  const watchers = new Map()
+  let timeout
+  let isBuilding = false
+  let hasPendingChanges = false
+
+  function onChange() {
+    clearTimeout(timeout)
+    timeout = setTimeout(() => rebuild().catch(onError), 100)
+  }
+
+  function onError(error) {
+    log.error('Failed to rebuild client.', error)
+    process.exitCode = exitCodes.unexpectedError
+  }
+
+  // watch directories instead of files, because editors often replace files on save
+  function watchDirectory(dir) {
+    if (watchers.has(dir)) return
+    try {
+      const watcher = watch(dir, (event, fileName) => {
+        if (fileName && files.has(path.join(dir, fileName))) {
+          onChange()
+        }
+      })
+      // e.g. when the directory is deleted. it is watched again after the
+      // next build which finds it.
+      watcher.on('error', (error) => {
+        log.error(`Failed to watch ${dir}.`, error)
+        watcher.close()
+        watchers.delete(dir)
+      })
+      watchers.set(dir, watcher)
+    } catch (error) {
+      log.error(`Failed to watch ${dir}.`, error)
+    }
+  }
+
+  async function rebuild() {
+    if (isBuilding) {
+      hasPendingChanges = true
+      return
+    }
+    isBuilding = true
+    try {
+      // keep watching files from previous builds, which might be referenced
+      // again after fixing an error
+      const { files: paths } = await build(options)
+      paths
+        .filter((location) => !/^https?:\/\//i.test(location))
+        .forEach((filePath) => files.add(filePath))
+      files.forEach((filePath) => watchDirectory(path.dirname(filePath)))
+    } finally {
+      isBuilding = false
+    }
+    if (hasPendingChanges) {
+      hasPendingChanges = false
+      return rebuild()
+    }
+    log.info('Watching for changes...')
+  }
+
+  await rebuild().catch(onError)
+}
+
+/**
+ * returns a unified diff when the existing file differs from the content.
+ */
+async function checkFile(absolutePath, content) {
+  const current = existsSync(absolutePath)
+    ? await fs.readFile(absolutePath, { encoding: 'utf-8' })
+    : ''
+  if (current === content) return undefined
+  return createTwoFilesPatch(
+    absolutePath,
+    absolutePath,
+    current,
+    content,
+    'current',
+    'generated'
+  )
+}
+
+async function writeFile(absolutePath, content) {
+  // only write changed output, so that watchers of the output are not triggered
+  if (existsSync(absolutePath)) {
+    const current = await fs.readFile(absolutePath, { encoding: 'utf-8' })
+    if (current === content) return false
+  }
+  const absoluteDir = path.dirname(absolutePath)
+  if (!existsSync(absoluteDir)) {
+    await fs.mkdir(absoluteDir, { recursive: true })
+  }
+  await fs.writeFile(absolutePath, content, { encoding: 'utf-8' })
+  return true
+}
+
+function requireFresh(modulePath) {
+  // always load the current version of a module, which can change in watch mode
+  delete require.cache[modulePath]
+  return require(modulePath)
+}
+
 function getOptions() {
   const args = parseParams(process.argv.slice(2), {
     alias: {
@@ -119,9 +557,16 @@ function getOptions() {
       file: 'f',
       url: 'u',
       output: 'o',
+      target: 't',
+      watch: 'w',
+      config: 'c',
     },
+    // flags don't take a value, so that they can be followed by client names
+    boolean: ['help', 'watch', 'check', 'json', 'interfaces'],
   })
+  const [command] = args._
   return {
+    command: command === 'diff' ? command : undefined,
     help: args.help,
     file: args.file,
     url: args.url,
@@ -131,56 +576,89 @@ function getOptions() {
     imports: args.imports,
     request: args.request,
     endpoint: args.endpoint,
+    target: args.target,
+    baseUrl: args['base-url'],
+    validation: args.validation,
+    enums: args.enums,
+    interfaces: args.interfaces,
+    collisions: args.collisions,
+    mocksPath: args.mocks,
+    watch: args.watch,
+    check: args.check,
+    config: args.config,
+    // names of clients defined in the config file
+    clients: args._.map(String),
+    base: args.base,
+    head: args.head,
+    json: args.json,
   }
 }
 
-async function getFileContent(file) {
-  const absolutePath = path.join(process.cwd(), file)
-  const content = await fs.readFile(absolutePath, { encoding: 'utf-8' })
-  const format = file.endsWith('.json')
-    ? 'json'
-    : /\.ya?ml$/.test(file)
-    ? 'yaml'
-    : undefined
-  return [content, format]
-}
-
-async function getUrlContent(url) {
-  const response = await got(url)
-  const content = response.body
-  const contentType = response.headers['content-type']
-  const format = contentType.startsWith('application/json')
-    ? 'json'
-    : // there is no official mimetype for yaml - 'application/yaml' or 'text/x-yaml' etc.
-    contentType.includes('yaml')
-    ? 'yaml'
-    : undefined
-  return [content, format]
-}
-
 function showHelp() {
   log.info(
     [
       'Usage: create-openapi-client (--file [FILE] | --url [URL]) --output [FILE]',
+      '       create-openapi-client [--config [FILE]] [CLIENT...]',
+      '       create-openapi-client diff --base [FILE|URL] --head [FILE|URL] [--json]',
       '',
       'Options:',
       '',
       '-f, --file\tpath to openapi document',
       '-u, --url\turl to openapi document',
       '-o, --output\tpath to output file',
+      '-t, --target\tclient target: react-query (default), fetch, axios, swr, tanstack-react-query, tanstack-vue-query, tanstack-svelte-query, tanstack-solid-query',
+      '--base-url\toverride the base url from the openapi document (optional)',
+      '--validation\tcreate zod schemas, and validate responses: strict or warn (optional)',
+      '--enums\tcreate component enums as union types (default), const objects or typescript enums: union, const or enum (optional)',
+      '--interfaces\tcreate interfaces for object types, and declare inline object types as separate types (optional)',
+      '--collisions\tresolve name collisions by appending a number (default) or by declaring schema types in the Schemas namespace: suffix or namespace (optional)',
+      '--mocks\tpath to output file for mock service worker request handlers (optional)',
       '--preprocess\tpath to function to preprocess input',
       '--imports\tpath to function which adds imports to client (optional)',
       '--request\tpath to function which defines a shared request function (optional)',
       '--endpoint\tpath to a function which generates a request function for an endpoint',
+      '-w, --watch\tregenerate when the input document, referenced documents or modules change',
+      '--check\tcompare the generated output with the existing files, print a diff and exit with code 10 on mismatch',
+      '-c, --config\tpath to config file, defaults to openapi-client.config.js, openapi-client.config.json or the "openapi-client" key in package.json',
       '-h, --help\tshow this help message',
       '',
+      'Diff options:',
+      '',
+      '--base\tpath or url to the current openapi document',
+      '--head\tpath or url to the new openapi document',
+      '--json\tprint changes as json',
+      '--preprocess\tpath to function to preprocess both documents',
+      '--validate\tpath to function to validate both documents',
+      '',
       'Examples:',
       '',
       'create-openapi-client \\\n  -f src/api/openapi.json \\\n  -o src/api/client.ts',
       '',
+      'create-openapi-client \\\n  -f src/api/openapi.json \\\n  -o src/api/client.ts \\\n  -t tanstack-vue-query',
+      '',
       'create-openapi-client \\\n  -u https://raw.githubusercontent.com/OAI/OpenAPI-Specification/master/examples/v3.0/petstore.yaml \\\n  -o src/api/petstore.ts',
       '',
+      'create-openapi-client petstore users',
+      '',
+      'create-openapi-client --check',
+      '',
+      'create-openapi-client diff \\\n  --base src/api/openapi.yaml \\\n  --head https://example.com/openapi.yaml',
+      '',
       'create-openapi-client \\\n  -f src/api/openapi.yaml \\\n  -o src/api/client.ts \\\n  --preprocess src/api/utils/preprocess.ts \\\n  --imports src/api/utils/imports.ts \\\n  --request src/api/utils/request.ts \\\n  --endpoint src/api/utils/endpoint.ts',
+      '',
+      'Exit codes:',
+      '',
+      '1\tunexpected error',
+      '2\tinvalid options',
+      '3\tfailed to load config',
+      '4\tfailed to resolve or load modules',
+      '5\tfailed to read document',
+      '6\tfailed to parse document',
+      '7\tfailed to resolve external references',
+      '8\tfailed to generate output',
+      '9\tfailed to write output',
+      '10\tgenerated output differs from existing files (--check)',
+      '11\tbreaking changes between documents (diff)',
     ].join('\n')
   )
 }
@@ -1,9 +1,13 @@
-const { capitalize, getServerUrl } = require('./utils')
+const { HTTP_METHODS, capitalize, getServerUrl } = require('./utils')
 
 module.exports = {
   createImports,
   createRequestFunction,
+  createRequestHelpers,
   createEndpoint,
+  createEndpointFunction,
+  getEndpointParameters,
+  isQueryEndpoint,
 }
 
 function createImports() {
@@ -15,23 +19,9 @@ function createImports() {
   ].join('\n')
 }
 
-function createRequestFunction({ openApiDocument, baseUrl: customBaseUrl }) {
-  const { servers } = openApiDocument
-  // if a server is defined in the openapi document, we take the baseUrl
-  // from the first one. if no server is defined, we fall back to
-  // an environment variable
-  // TODO: don't hardcode env variable name
-  // TODO: the spec allows the server url to be relative, which would break
-  // the url constructor
-  let baseUrl = customBaseUrl
-    ? `"${customBaseUrl}"`
-    : servers && servers.length !== 0
-    ? `"${getServerUrl(servers[0])}"`
-    : 'process.env.NEXT_PUBLIC_API_BASE_URL'
-
+function createRequestFunction({ openApiDocument, baseUrl, validation }) {
   return [
-    `const defaultBaseUrl = ${baseUrl}`,
-    'export { defaultBaseUrl as baseUrl }',
+    createRequestHelpers({ openApiDocument, baseUrl, validation }),
     `export class HttpError extends Error {
       response: Response
       statusCode: number
@@ -43,25 +33,6 @@ function createRequestFunction({ openApiDocument, baseUrl: customBaseUrl }) {
         this.statusCode = response.status
       }
     }`,
-    `function createUrl(
-      path: string,
-      baseUrl = defaultBaseUrl,
-      query: Record<string, unknown> = {}
-    ) {
-      const url = new URL(path, baseUrl)
-      Object.entries(query).forEach(([key, value]) => {
-        if (Array.isArray(value)) {
-          value.forEach(v => {
-            if (v != null) {
-              url.searchParams.append(key, String(v))
-            }
-          })
-        } else if (value != null) {
-          url.searchParams.set(key, String(value))
-        }
-      })
-      return url.toString()
-    }`,
     `type RequestOptions<T> = {
       hooks?: {
         request?: ((request: Request) => Request)
@@ -72,22 +43,53 @@ function createRequestFunction({ openApiDocument, baseUrl: customBaseUrl }) {
     export async function request<T = unknown>({
       path,
       baseUrl,
+      baseUrlVariables,
       query,
+      querySerialization,
+      headers = {},
+      headerSerialization = {},
+      cookies = {},
+      security = [],
       options,
       hooks = {},
       token,
-      returnType = 'json'
+      returnType = 'json',
+      ${validation ? 'schema,' : ''}
     }: {
       path: string
       baseUrl?: string
+      baseUrlVariables?: Record<string, string>
       query?: Record<string, unknown>
+      querySerialization?: Record<string, ParameterSerialization>
+      headers?: Record<string, unknown>
+      headerSerialization?: Record<string, ParameterSerialization>
+      cookies?: Record<string, unknown>
+      security?: SecurityRequirements
       options?: RequestInit
       hooks?: RequestOptions<T>['hooks']
       token?: RequestOptions<T>['token']
-      returnType?: 'json'
+      returnType?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'none'
+      ${validation ? 'schema?: z.ZodTypeAny' : ''}
     }): Promise<T> {
-      const url = createUrl(path, baseUrl, query)
+      const auth = await getAuthParameters(security)
+      // the base url can contain server variables, like the default base url
+      const url = createUrl(
+        path,
+        baseUrl && resolveServerUrl(baseUrl, baseUrlVariables),
+        { ...query, ...auth.query },
+        querySerialization
+      )
       const req = new Request(url, options)
+      Object.entries({ ...headers, ...auth.headers }).forEach(([key, value]) => {
+        if (value != null) {
+          req.headers.set(key, serializeSimpleValue(value, headerSerialization[key]?.explode))
+        }
+      })
+      // browsers don't allow setting the cookie header, and will send the cookies they know about instead
+      const cookie = createCookieHeader({ ...cookies, ...auth.cookies })
+      if (cookie.length > 0) {
+        req.headers.set('Cookie', cookie)
+      }
       const request = typeof hooks.request === 'function' ? hooks.request(req) : req
       if (token !== undefined && token.length > 0) {
         request.headers.set('Authorization', token)
@@ -96,124 +98,569 @@ function createRequestFunction({ openApiDocument, baseUrl: customBaseUrl }) {
       if (!response.ok) {
         let message
         if (response.headers.get('content-type') === 'application/json') {
-          const data = await response.json()
-          if (typeof data.message === 'string') {
-            message = data.message
-          } else if (data.error != null) {
-            if (typeof data.error === 'string') {
-              message = data.error
-            } else if (typeof data.error?.message === 'string') {
-              message = data.error.message
-            }
-          } else if (Array.isArray(data.errors)) {
-            const [error] = data.errors
-            if (typeof error === 'string') {
-              message = error
-            } else if (typeof error.message === 'string') {
-              message = error.message
-            }
-          }
+          message = getErrorMessage(await response.json())
         }
         throw new HttpError(response, message)
       }
       if (typeof hooks.response === 'function') return hooks.response(response)
-      return response[returnType]()
+      if (returnType === 'none' || response.status === 204) {
+        return undefined as unknown as T
+      }
+      ${
+        validation
+          ? `const data: T = await response[returnType]()
+      return schema !== undefined ? validateResponse(data, schema) : data`
+          : 'return response[returnType]() as Promise<T>'
+      }
+    }`,
+  ].join('\n\n')
+}
+
+/**
+ * creates the parts of the request function which don't depend on the http client.
+ */
+function createRequestHelpers({
+  openApiDocument,
+  baseUrl: customBaseUrl,
+  validation,
+}) {
+  return [
+    createServer({ openApiDocument, baseUrl: customBaseUrl }),
+    createSecurity({ openApiDocument }),
+    validation && createValidation({ validation }),
+    `type ParameterSerialization = {
+      style?: 'form' | 'spaceDelimited' | 'pipeDelimited' | 'deepObject' | 'simple' | 'label' | 'matrix'
+      explode?: boolean
+      allowReserved?: boolean
+      json?: boolean
+    }`,
+    `function createUrl(
+      path: string,
+      baseUrl = getDefaultBaseUrl(),
+      query: Record<string, unknown> = {},
+      querySerialization: Record<string, ParameterSerialization> = {}
+    ) {
+      // the base url can have a path, and can be relative to the origin
+      const url = new URL(baseUrl.replace(/\\/$/, '') + path, origin)
+      const search = createQueryString(query, querySerialization)
+      if (search.length > 0) {
+        url.search = url.search.length > 1 ? \`\${url.search.slice(1)}&\${search}\` : search
+      }
+      return url.toString()
+    }`,
+    `function createQueryString(
+      query: Record<string, unknown>,
+      serialization: Record<string, ParameterSerialization>
+    ) {
+      const pairs: Array<string> = []
+      Object.entries(query).forEach(([name, value]) => {
+        if (value == null) return
+        const { style = 'form', allowReserved = false, json = false } = serialization[name] ?? {}
+        const explode = serialization[name]?.explode ?? style === 'form'
+        const encode = (v: unknown) => allowReserved ? encodeURI(String(v)) : encodeURIComponent(String(v))
+        const key = encodeURIComponent(name)
+        if (json) {
+          pairs.push(\`\${key}=\${encode(JSON.stringify(value))}\`)
+        } else if (Array.isArray(value)) {
+          const values = value.filter(v => v != null)
+          if (explode) {
+            values.forEach(v => pairs.push(\`\${key}=\${encode(v)}\`))
+          } else {
+            const delimiter = style === 'spaceDelimited' ? '%20' : style === 'pipeDelimited' ? '|' : ','
+            pairs.push(\`\${key}=\${values.map(encode).join(delimiter)}\`)
+          }
+        } else if (typeof value === 'object') {
+          const entries = Object.entries(value as object).filter(([, v]) => v != null)
+          if (style === 'deepObject') {
+            const appendDeepObject = (prefix: string, entries: Array<[string, unknown]>) => {
+              entries.forEach(([k, v]) => {
+                const key = \`\${prefix}[\${encodeURIComponent(k)}]\`
+                if (Array.isArray(v)) {
+                  v.forEach(item => pairs.push(\`\${key}=\${encode(item)}\`))
+                } else if (typeof v === 'object' && v !== null) {
+                  appendDeepObject(key, Object.entries(v))
+                } else if (v != null) {
+                  pairs.push(\`\${key}=\${encode(v)}\`)
+                }
+              })
+            }
+            appendDeepObject(key, entries)
+          } else if (explode) {
+            entries.forEach(([k, v]) => pairs.push(\`\${encodeURIComponent(k)}=\${encode(v)}\`))
+          } else {
+            pairs.push(\`\${key}=\${entries.map(([k, v]) => \`\${encode(k)},\${encode(v)}\`).join(',')}\`)
+          }
+        } else {
+          pairs.push(\`\${key}=\${encode(value)}\`)
+        }
+      })
+      return pairs.join('&')
+    }`,
+    `function serializePathParameter(
+      name: string,
+      value: unknown,
+      serialization: ParameterSerialization = {}
+    ) {
+      const { style = 'simple', explode = false, json = false } = serialization
+      const encode = (v: unknown) => encodeURIComponent(json ? JSON.stringify(v) : String(v))
+      const prefix = style === 'label' ? '.' : style === 'matrix' ? \`;\${name}=\` : ''
+      if (json || typeof value !== 'object' || value === null) {
+        return prefix + encode(value)
+      }
+      if (Array.isArray(value)) {
+        if (!explode) return prefix + value.map(encode).join(',')
+        const separator = style === 'label' ? '.' : style === 'matrix' ? \`;\${name}=\` : ','
+        return prefix + value.map(encode).join(separator)
+      }
+      const entries = Object.entries(value)
+      if (!explode) {
+        return prefix + entries.map(([k, v]) => \`\${encode(k)},\${encode(v)}\`).join(',')
+      }
+      const separator = style === 'label' ? '.' : style === 'matrix' ? ';' : ','
+      const pairs = entries.map(([k, v]) => \`\${encode(k)}=\${encode(v)}\`)
+      return (style === 'matrix' ? ';' : prefix) + pairs.join(separator)
+    }`,
+    `function createFormData(
+      body: object,
+      encoding: Record<string, { contentType?: string }> = {}
+    ) {
+      const formData = new FormData()
+      Object.entries(body).forEach(([key, value]) => {
+        const contentType = encoding[key]?.contentType
+        const values = Array.isArray(value) ? value : [value]
+        values.forEach(v => {
+          if (v == null) return
+          if (v instanceof Blob) {
+            formData.append(key, v)
+          } else if (
+            contentType != null
+              ? contentType.includes('json')
+              : typeof v === 'object'
+          ) {
+            formData.append(
+              key,
+              new Blob([JSON.stringify(v)], {
+                type: contentType ?? 'application/json',
+              })
+            )
+          } else {
+            formData.append(key, String(v))
+          }
+        })
+      })
+      return formData
+    }`,
+    `function createUrlSearchParams(body: object) {
+      const searchParams = new URLSearchParams()
+      Object.entries(body).forEach(([key, value]) => {
+        const values = Array.isArray(value) ? value : [value]
+        values.forEach(v => {
+          if (v != null) {
+            searchParams.append(
+              key,
+              typeof v === 'object' ? JSON.stringify(v) : String(v)
+            )
+          }
+        })
+      })
+      return searchParams
+    }`,
+    `function serializeSimpleValue(value: unknown, explode = false): string {
+      if (Array.isArray(value)) return value.map(String).join(',')
+      if (typeof value === 'object' && value !== null) {
+        const entries = Object.entries(value)
+        return explode
+          ? entries.map(([key, v]) => \`\${key}=\${String(v)}\`).join(',')
+          : entries.map(([key, v]) => [key, String(v)]).flat().join(',')
+      }
+      return String(value)
+    }`,
+    `function createCookieHeader(cookies: Record<string, unknown>) {
+      return Object.entries(cookies)
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => \`\${key}=\${encodeURIComponent(serializeSimpleValue(value))}\`)
+        .join('; ')
+    }`,
+    `function getErrorMessage(data: any): string | undefined {
+      if (data == null || typeof data !== 'object') return undefined
+      if (typeof data.message === 'string') {
+        return data.message
+      } else if (data.error != null) {
+        if (typeof data.error === 'string') {
+          return data.error
+        } else if (typeof data.error?.message === 'string') {
+          return data.error.message
+        }
+      } else if (Array.isArray(data.errors)) {
+        const [error] = data.errors
+        if (typeof error === 'string') {
+          return error
+        } else if (typeof error?.message === 'string') {
+          return error.message
+        }
+      }
+      return undefined
+    }`,
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+}
+
+function createValidation({ validation }) {
+  return [
+    `export type ResponseValidation = 'strict' | 'warn' | 'off'
+    let responseValidation: ResponseValidation = ${JSON.stringify(validation)}
+    export function setResponseValidation(mode: ResponseValidation) {
+      responseValidation = mode
+    }`,
+    `export class ValidationError extends Error {
+      issues: Array<z.ZodIssue>
+
+      constructor(error: z.ZodError) {
+        super('Response does not match the schema.')
+        this.name = 'ValidationError'
+        this.issues = error.issues
+      }
     }`,
+    `function validateResponse<T>(data: T, schema: z.ZodTypeAny): T {
+      if (responseValidation === 'off') return data
+      const result = schema.safeParse(data)
+      if (!result.success) {
+        if (responseValidation === 'strict') throw new ValidationError(result.error)
+        console.warn('Response does not match the schema.', result.error.issues)
+      }
+      // return the unparsed data, because zod schemas strip unknown properties
+      return data
+    }`,
+  ].join('\n\n')
+}
+
+function createServer({ openApiDocument, baseUrl: customBaseUrl }) {
+  const { servers } = openApiDocument
+  // if a server is defined in the openapi document, we take the baseUrl
+  // from the first one. if no server is defined, we fall back to
+  // an environment variable
+  // TODO: don't hardcode env variable name
+  const server = customBaseUrl
+    ? { url: customBaseUrl }
+    : servers && servers.length !== 0
+    ? servers[0]
+    : undefined
+  const serverUrl = server
+    ? JSON.stringify(server.url)
+    : 'process.env.NEXT_PUBLIC_API_BASE_URL ?? ""'
+  const defaultBaseUrl = server
+    ? JSON.stringify(getServerUrl(server))
+    : 'process.env.NEXT_PUBLIC_API_BASE_URL'
+
+  // the variables of the servers of operations and path items can be set too
+  const variableValues = new Map()
+  const variableServers = [server, ...getEndpointServers(openApiDocument)]
+  variableServers.filter(Boolean).forEach(({ variables = {} }) => {
+    Object.entries(variables).forEach(([name, variable]) => {
+      const values = variable.enum
+        ? variable.enum.map((value) => JSON.stringify(value))
+        : ['string']
+      variableValues.set(name, [
+        ...new Set([...(variableValues.get(name) || []), ...values]),
+      ])
+    })
+  })
+  const variableTypes = [...variableValues].map(
+    ([name, values]) => `${JSON.stringify(name)}?: ${values.join(' | ')}`
+  )
+
+  return [
+    `const serverUrl = ${serverUrl}`,
+    `const defaultBaseUrl = ${defaultBaseUrl}`,
+    'export { defaultBaseUrl as baseUrl }',
+    `export type ServerVariables = {
+      ${variableTypes.join('\n')}
+    }`,
+    `const defaultServerVariables: Record<string, string> = ${JSON.stringify(
+      getServerVariableDefaults(server)
+    )}`,
+    `let serverVariables: ServerVariables = {}`,
+    `/**
+     * overrides the default values of server url variables.
+     */
+    export function setServerVariables(value: ServerVariables): void {
+      serverVariables = value
+    }`,
+    `let origin: string | undefined = globalThis.location?.origin`,
+    `/**
+     * sets the origin against which relative server urls are resolved.
+     * defaults to the current location in the browser.
+     */
+    export function setOrigin(value: string): void {
+      origin = value
+    }`,
+    `function resolveServerUrl(url: string, defaultVariables: Record<string, string> = {}) {
+      const variables: Record<string, string | undefined> = {
+        ...defaultVariables,
+        ...serverVariables,
+      }
+      return url.replace(/{(.+?)}/g, (match, name) => variables[name] ?? match)
+    }`,
+    `function getDefaultBaseUrl() {
+      return resolveServerUrl(serverUrl, defaultServerVariables)
+    }`,
+  ].join('\n\n')
+}
+
+/**
+ * returns the servers which override the global servers for the operations
+ * of a path item, see `createEndpoints`.
+ */
+function getEndpointServers(openApiDocument) {
+  const servers = []
+  Object.values(openApiDocument.paths || {}).forEach((pathItem) => {
+    const items = [pathItem, ...HTTP_METHODS.map((method) => pathItem[method])]
+    items.forEach((item) => {
+      if (item && item.servers && item.servers.length !== 0) {
+        servers.push(item.servers[0])
+      }
+    })
+  })
+  return servers
+}
+
+function getServerVariableDefaults(server) {
+  const { variables = {} } = server || {}
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, variable]) => [
+      name,
+      variable.default,
+    ])
+  )
+}
+
+function createSecurity({ openApiDocument }) {
+  const { components = {} } = openApiDocument
+  // mutual tls cannot be handled by the client
+  const securitySchemes = Object.entries(
+    components.securitySchemes || {}
+  ).filter(([, securityScheme]) => securityScheme.type !== 'mutualTLS')
+
+  const credentials = securitySchemes.map(([name, securityScheme]) => {
+    const type =
+      securityScheme.type === 'http' &&
+      securityScheme.scheme.toLowerCase() === 'basic'
+        ? '{ username: string; password: string }'
+        : 'string'
+    return `"${name}"?: Credential<${type}>`
+  })
+
+  const schemes = securitySchemes.map(([name, securityScheme]) => {
+    switch (securityScheme.type) {
+      case 'apiKey':
+        return `"${name}": { type: "apiKey", in: "${securityScheme.in}", name: "${securityScheme.name}" }`
+      case 'http':
+        return `"${name}": { type: "http", scheme: "${securityScheme.scheme.toLowerCase()}" }`
+      default:
+        // oauth2 and openIdConnect access tokens are sent as bearer tokens
+        return `"${name}": { type: "http", scheme: "bearer" }`
+    }
+  })
+
+  return [
+    `type Credential<T> = T | (() => T | undefined | Promise<T | undefined>)`,
+    `export type Credentials = {
+      ${credentials.join('\n')}
+    }`,
+    `type SecurityScheme =
+      | { type: 'apiKey'; in: 'header' | 'query' | 'cookie'; name: string }
+      | { type: 'http'; scheme: string }`,
+    `type SecurityRequirements = Array<Array<keyof Credentials>>`,
+    `const securitySchemes: Record<string, SecurityScheme> = {
+      ${schemes.join(',\n')}
+    }`,
+    `let credentials: Credentials = {}`,
+    `/**
+     * sets the credentials for all security schemes. credentials can
+     * also be functions, e.g. to asynchronously provide access tokens.
+     */
+    export function setCredentials(value: Credentials): void {
+      credentials = value
+    }`,
+    `async function getAuthParameters(security: SecurityRequirements) {
+      const auth = {
+        headers: {} as Record<string, string>,
+        query: {} as Record<string, string>,
+        cookies: {} as Record<string, string>,
+      }
+      // use the first security requirement for which all credentials are available
+      for (const requirement of security) {
+        const values = await Promise.all(
+          requirement.map(async (name) => {
+            const credential: unknown = credentials[name]
+            return typeof credential === 'function' ? credential() : credential
+          })
+        )
+        if (values.some((value) => value == null)) continue
+        requirement.forEach((name: string, index) => {
+          const scheme = securitySchemes[name]
+          const value = values[index]
+          if (scheme.type === 'apiKey') {
+            const location = scheme.in === 'header' ? 'headers' : scheme.in === 'query' ? 'query' : 'cookies'
+            auth[location][scheme.name] = String(value)
+          } else if (scheme.scheme === 'basic') {
+            const { username, password } = value as { username: string; password: string }
+            auth.headers['Authorization'] = \`Basic \${btoa(\`\${username}:\${password}\`)}\`
+          } else {
+            const prefix = scheme.scheme === 'bearer' ? 'Bearer' : scheme.scheme
+            auth.headers['Authorization'] = \`\${prefix} \${value}\`
+          }
+        })
+        break
+      }
+      return auth
+    }`,
+  ].join('\n\n')
+}
+
+function createEndpoint(endpoint) {
+  return [
+    createEndpointFunction(endpoint),
+    createReactQueryHook(endpoint),
   ].join('\n\n')
 }
 
-function createEndpoint({
+function createEndpointFunction({
   operationName,
   method,
   pathTemplate,
-  baseUrl, // optionally override global baseUrl
+  server, // optionally override the global server
   parameters,
+  parameterSerialization = {},
   hasRequestBody,
+  requestBodyType = 'json',
+  requestBodyEncoding = {},
   headers,
   returnType,
   typeName,
+  security = [],
+  responseSchema,
+  // jsdoc comment created from the operation documentation
+  comment,
+  // mutation functions accept their arguments as an array, see `createReactQueryHook`
+  useArgumentsArray = !isQueryEndpoint(method),
 }) {
+  const pathSerialization = parameterSerialization.path || {}
   const path = parameters.path
-    ? pathTemplate.replace(/{(.+?)}/g, '${encodeURIComponent(pathParams.$1)}')
+    ? pathTemplate.replace(/{(.+?)}/g, (match, name) => {
+        const args = [
+          JSON.stringify(name),
+          `pathParams[${JSON.stringify(name)}]`,
+          pathSerialization[name] && JSON.stringify(pathSerialization[name]),
+        ].filter(Boolean)
+        return `\${serializePathParameter(${args.join(', ')})}`
+      })
     : pathTemplate
+  const querySerialization = parameterSerialization.query || {}
+  const headerSerialization = parameterSerialization.header || {}
 
-  const params = [
-    parameters.path && `pathParams: ${typeName}.PathParameters`,
-    parameters.query && `queryParams: ${typeName}.QueryParameters`,
-    hasRequestBody && `body: ${typeName}.RequestBody`,
-  ].filter(Boolean)
+  const serializedBody = {
+    json: 'JSON.stringify(body)',
+    formData: `createFormData(body, ${JSON.stringify(requestBodyEncoding)})`,
+    urlencoded: 'createUrlSearchParams(body)',
+    raw: 'body as BodyInit',
+  }[requestBodyType]
 
-  const untypedParams = [
-    parameters.path && `pathParams`,
-    parameters.query && `queryParams`,
-    hasRequestBody && `body`,
-  ].filter(Boolean)
+  const { params, untypedParams } = getEndpointParameters({
+    parameters,
+    hasRequestBody,
+    typeName,
+  })
+  const requestOptionsParam = `requestOptions?: RequestOptions<${typeName}.Response.Success>`
 
-  const mutationFnParams = [
-    parameters.path && `${typeName}.PathParameters`,
-    parameters.query && `${typeName}.QueryParameters`,
-    hasRequestBody && `${typeName}.RequestBody`,
-    `RequestOptions<${typeName}.Response.Success>`,
-  ].filter(Boolean)
+  return `${
+    comment ? `${comment}\n` : ''
+  }export async function ${operationName}(${
+    useArgumentsArray
+      ? `[${untypedParams
+          .concat('requestOptions')
+          .join(', ')}]: [${params.concat(requestOptionsParam).join(', ')}]`
+      : params.concat(requestOptionsParam).join(', ')
+  }): Promise<${typeName}.Response.Success> {
+    return request({
+      path: \`${path}\`,
+      baseUrl: ${JSON.stringify(server && server.url)},${
+    server && server.variables
+      ? `\nbaseUrlVariables: ${JSON.stringify(
+          getServerVariableDefaults(server)
+        )},`
+      : ''
+  }
+      query: ${parameters.query ? 'queryParams' : 'undefined'},
+      querySerialization: ${
+        Object.keys(querySerialization).length !== 0
+          ? JSON.stringify(querySerialization)
+          : 'undefined'
+      },
+      headers: ${parameters.header ? 'headerParams' : 'undefined'},
+      headerSerialization: ${
+        Object.keys(headerSerialization).length !== 0
+          ? JSON.stringify(headerSerialization)
+          : 'undefined'
+      },
+      cookies: ${parameters.cookie ? 'cookieParams' : 'undefined'},
+      security: ${JSON.stringify(security)},
+      options: {
+        method: ${JSON.stringify(method)},
+        body: ${hasRequestBody ? serializedBody : 'undefined'},
+        headers: ${JSON.stringify(headers)},
+      },
+      returnType: ${JSON.stringify(returnType)},${
+    responseSchema ? `\nschema: ${responseSchema},` : ''
+  }
+      hooks: requestOptions?.hooks,
+      token: requestOptions?.token,
+    })
+  }`
+}
 
-  const isQueryHook = method.toLowerCase() === 'get'
+function createReactQueryHook({
+  operationName,
+  method,
+  parameters,
+  hasRequestBody,
+  typeName,
+  comment,
+}) {
+  const {
+    params,
+    paramTypes,
+    queryKeyParams: hooksCacheKey,
+  } = getEndpointParameters({ parameters, hasRequestBody, typeName })
+  const mutationFnParams = paramTypes.concat(
+    `RequestOptions<${typeName}.Response.Success>`
+  )
+
+  const isQueryHook = isQueryEndpoint(method)
   const hook = isQueryHook ? 'useQuery' : 'useMutation'
   const queryHookParams = [
     ...params,
     `options?: ${'UseQueryOptions'}<${typeName}.Response.Success, ${typeName}.Response.Error>`,
     `requestOptions?: RequestOptions<${typeName}.Response.Success>`,
   ]
-  const hooksCacheKey = [
-    parameters.path && `pathParams`,
-    parameters.query && `queryParams`,
-  ].filter(Boolean)
 
-  return [
-    `export async function ${operationName}(${
-      isQueryHook
-        ? params
-            .concat(
-              `requestOptions?: RequestOptions<${typeName}.Response.Success>`
-            )
-            .join(', ')
-        : `[${untypedParams
-            .concat('requestOptions')
-            .join(', ')}]: [${params
-            .concat(
-              `requestOptions?: RequestOptions<${typeName}.Response.Success>`
-            )
-            .join(', ')}]`
-    }): Promise<${typeName}.Response.Success> {
-      return request({
-        path: \`${path}\`,
-        baseUrl: ${JSON.stringify(baseUrl)},
-        query: ${parameters.query ? 'queryParams' : 'undefined'},
-        options: {
-          method: ${JSON.stringify(method)},
-          body: ${hasRequestBody ? 'JSON.stringify(body)' : 'undefined'},
-          headers: ${JSON.stringify(headers)},
-        },
-        returnType: ${JSON.stringify(returnType)},
-        hooks: requestOptions?.hooks,
-        token: requestOptions?.token,
-      })
-    }`,
-    isQueryHook
-      ? `export function use${capitalize(operationName)}(${queryHookParams.join(
-          ', '
-        )}): UseQueryResult<${typeName}.Response.Success, ${typeName}.Response.Error> {
+  const code = isQueryHook
+    ? `export function use${capitalize(operationName)}(${queryHookParams.join(
+        ', '
+      )}): UseQueryResult<${typeName}.Response.Success, ${typeName}.Response.Error> {
       return ${hook}([${[`"${operationName}"`]
-          .concat(hooksCacheKey)
-          .join(', ')}], () => ${operationName}(${hooksCacheKey
-          .concat('requestOptions')
-          .join(', ')}), options)
+        .concat(hooksCacheKey)
+        .join(', ')}], () => ${operationName}(${hooksCacheKey
+        .concat('requestOptions')
+        .join(', ')}), options)
       }`
-      : // we have to make TVariables an array - and thus also make the mutation function accept
-        // args as an array, because the react-query typings don't currently allow multiple
-        // args for a mutation function
-        `export function use${capitalize(
-          operationName
-        )}(options?: UseMutationOptions<
+    : // we have to make TVariables an array - and thus also make the mutation function accept
+      // args as an array, because the react-query typings don't currently allow multiple
+      // args for a mutation function
+      `export function use${capitalize(
+        operationName
+      )}(options?: UseMutationOptions<
           ${typeName}.Response.Success,
           ${typeName}.Response.Error,
           [${mutationFnParams.join(', ')}],
@@ -225,6 +672,29 @@ function createEndpoint({
           unknown
         > {
         return ${hook}(${operationName}, options)
-        }`,
-  ].join('\n\n')
+        }`
+  return comment ? `${comment}\n${code}` : code
+}
+
+function isQueryEndpoint(method) {
+  return method.toLowerCase() === 'get'
+}
+
+function getEndpointParameters({ parameters, hasRequestBody, typeName }) {
+  const locations = [
+    parameters.path && ['pathParams', `${typeName}.PathParameters`],
+    parameters.query && ['queryParams', `${typeName}.QueryParameters`],
+    parameters.header && ['headerParams', `${typeName}.HeaderParameters`],
+    parameters.cookie && ['cookieParams', `${typeName}.CookieParameters`],
+  ].filter(Boolean)
+  const body = hasRequestBody ? [['body', `${typeName}.RequestBody`]] : []
+
+  return {
+    // typed parameters, e.g. `pathParams: Operation.PathParameters`
+    params: [...locations, ...body].map(([name, type]) => `${name}: ${type}`),
+    untypedParams: [...locations, ...body].map(([name]) => name),
+    paramTypes: [...locations, ...body].map(([, type]) => type),
+    // parameters which identify the response of a query, e.g. for caching
+    queryKeyParams: locations.map(([name]) => name),
+  }
 }
@@ -0,0 +1,110 @@
+const path = require('path')
+const { promises: fs, existsSync } = require('fs')
+
+const configFileNames = [
+  'openapi-client.config.js',
+  'openapi-client.config.json',
+]
+const packageJsonKey = 'openapi-client'
+
+/**
+ * maps config keys to cli options. paths are relative to the config file.
+ */
+const clientConfigKeys = {
+  file: { option: 'file', isPath: true },
+  url: { option: 'url' },
+  output: { option: 'outputPath', isPath: true },
+  target: { option: 'target' },
+  baseUrl: { option: 'baseUrl' },
+  validation: { option: 'validation' },
+  enums: { option: 'enums' },
+  interfaces: { option: 'interfaces' },
+  collisions: { option: 'collisions' },
+  mocks: { option: 'mocksPath', isPath: true },
+  preprocess: { option: 'preProcess', isPath: true },
+  validate: { option: 'validate', isPath: true },
+  imports: { option: 'imports', isPath: true },
+  request: { option: 'request', isPath: true },
+  endpoint: { option: 'endpoint', isPath: true },
+  include: { option: 'include' },
+  exclude: { option: 'exclude' },
+}
+
+module.exports = {
+  loadConfig,
+  getClientOptions,
+}
+
+/**
+ * loads the config from the given path, or from `openapi-client.config.js`,
+ * `openapi-client.config.json` or the "openapi-client" key in `package.json`
+ * in the current working directory.
+ */
+async function loadConfig(configPath) {
+  if (configPath) {
+    const absolutePath = path.resolve(process.cwd(), configPath)
+    return { config: await readConfig(absolutePath), configPath: absolutePath }
+  }
+
+  const configFileName = configFileNames.find((fileName) =>
+    existsSync(path.join(process.cwd(), fileName))
+  )
+  if (configFileName) {
+    const absolutePath = path.join(process.cwd(), configFileName)
+    return { config: await readConfig(absolutePath), configPath: absolutePath }
+  }
+
+  const packageJsonPath = path.join(process.cwd(), 'package.json')
+  if (existsSync(packageJsonPath)) {
+    const packageJson = await readConfig(packageJsonPath)
+    if (packageJson[packageJsonKey]) {
+      return {
+        config: packageJson[packageJsonKey],
+        configPath: packageJsonPath,
+      }
+    }
+  }
+
+  return undefined
+}
+
+async function readConfig(absolutePath) {
+  if (absolutePath.endsWith('.json')) {
+    const content = await fs.readFile(absolutePath, { encoding: 'utf-8' })
+    return JSON.parse(content)
+  }
+  return require(absolutePath)
+}
+
+/**
+ * returns cli options for the named clients in the config, or for all clients
+ * when no names are provided.
+ */
+function getClientOptions({ config, configPath }, names = []) {
+  const { clients = {} } = config
+  const unknownNames = names.filter((name) => !clients[name])
+  if (unknownNames.length !== 0) {
+    throw new Error(
+      `Unknown client ${unknownNames
+        .map((name) => `"${name}"`)
+        .join(', ')} in ${configPath}.`
+    )
+  }
+
+  const configDir = path.dirname(configPath)
+  return (names.length !== 0 ? names : Object.keys(clients)).map((name) => {
+    const options = { name }
+    Object.entries(clients[name]).forEach(([key, value]) => {
+      if (!clientConfigKeys[key]) {
+        throw new Error(`Unknown option "${key}" for client "${name}".`)
+      }
+      const { option, isPath } = clientConfigKeys[key]
+      // modules can also be passed directly in javascript config files
+      options[option] =
+        isPath && typeof value === 'string'
+          ? path.resolve(configDir, value)
+          : value
+    })
+    return options
+  })
+}
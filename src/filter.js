@@ -0,0 +1,52 @@
+const { HTTP_METHODS } = require('./utils')
+
+module.exports = {
+  filterOperations,
+}
+
+/**
+ * only keeps operations which match the `include` filter, and which don't
+ * match the `exclude` filter. filters can match operations by tag, path
+ * (with `*` wildcards), or operation id.
+ */
+function filterOperations({ openApiDocument, include, exclude }) {
+  if (!include && !exclude) return openApiDocument
+
+  const paths = {}
+  Object.entries(openApiDocument.paths || {}).forEach(([path, pathItem]) => {
+    const methods = Object.keys(pathItem).filter((key) =>
+      HTTP_METHODS.includes(key)
+    )
+    const excludedMethods = methods.filter((method) => {
+      const operation = pathItem[method]
+      if (include && !matchesFilter(include, path, operation)) return true
+      if (exclude && matchesFilter(exclude, path, operation)) return true
+      return false
+    })
+    // remove path items without any operations
+    if (excludedMethods.length === methods.length) return
+    paths[path] = { ...pathItem }
+    excludedMethods.forEach((method) => {
+      delete paths[path][method]
+    })
+  })
+
+  return { ...openApiDocument, paths }
+}
+
+function matchesFilter(filter, path, operation) {
+  const { tags = [], paths = [], operationIds = [] } = filter
+  return (
+    (operation.tags || []).some((tag) => tags.includes(tag)) ||
+    paths.some((pattern) => createPathPattern(pattern).test(path)) ||
+    operationIds.includes(operation.operationId)
+  )
+}
+
+function createPathPattern(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${escaped}$`)
+}
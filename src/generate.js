@@ -1,30 +1,114 @@
 const prettier = require('prettier')
+const { getTarget } = require('./targets')
 const {
-  createImports: defaultCreateImports,
-  createRequestFunction: defaultCreateRequestFunction,
-  createEndpoint: defaultCreateEndpoint,
-} = require('./client')
-const {
+  runInContext,
+  getContext,
   isRef,
   buildRefMap,
   getTypeNameFromRef,
-  createTypeName,
+  resolveRef,
   createTypeIdentifier,
-  createOperationName,
+  toPascalCase,
+  capitalize,
+  typeVariants,
+  isDiscriminatorBaseSchema,
+  getDiscriminatorTargetRefs,
+  getDiscriminatorValues,
+  isExcludedFromTypeVariant,
+  hasTypeVariant,
+  getRequestBodySchemas,
+  getResponseSchemas,
+  getParameterSchema,
+  getReturnType,
+  getReturnTypeForMediaType,
+  isIgnoredHeaderParameter,
+  mergeParameters,
+  HTTP_METHODS,
 } = require('./utils')
+const {
+  createZodImports,
+  createValidatorsFromSchemas,
+  createValidatorsFromParameters,
+  createValidatorsFromRequestBodies,
+  createValidatorsFromResponses,
+  createValidator,
+  createZodSchema,
+  createZodUnion,
+} = require('./zod')
+const {
+  resolveNames,
+  createUniqueTypeName,
+  createScope,
+  getOperationNames,
+  getDeclaredNames,
+  getDeclarationName,
+  isSchemasNamespaced,
+  schemasNamespace,
+} = require('./names')
+const { createMocks, mockNames } = require('./mocks')
+const { filterOperations } = require('./filter')
+const { normalizeDocument } = require('./normalize')
+const {
+  hasWebhooks,
+  getWebhookOperations,
+  createWebhookDispatcher,
+} = require('./webhooks')
+const { createDocumentModel, compareDocumentModels } = require('./changes')
 const { convertObj } = require('swagger2openapi')
 
 ///
 
 module.exports = {
-  generate,
+  // every call has its own state, so that documents can be generated concurrently
+  generate: (options) => runInContext(() => generate(options)),
+  generateMocks: (options) => runInContext(() => generateMocks(options)),
+  diff,
 }
 
-const shownWarnings = {}
+/**
+ * json schema keywords which are shown as jsdoc tags.
+ */
+const documentedConstraints = [
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'minProperties',
+  'maxProperties',
+]
+
+/**
+ * names of the types in the namespace of an operation, which must not be
+ * used for inline object types declared in the same namespace.
+ */
+const namespaceTypeNames = [
+  'PathParameters',
+  'QueryParameters',
+  'HeaderParameters',
+  'CookieParameters',
+  'RequestBody',
+  'Response',
+  'Success',
+  'Error',
+]
+
+/**
+ * types of decoded response bodies, when not decoded as json.
+ */
+const returnTypeDefinitions = {
+  text: 'string',
+  blob: 'Blob',
+  arrayBuffer: 'ArrayBuffer',
+  none: 'void',
+}
 
 function warn(key) {
-  if (!shownWarnings[key]) {
-    shownWarnings[key] = true
+  const { shownWarnings } = getContext()
+  if (!shownWarnings.has(key)) {
+    shownWarnings.add(key)
     console.warn('⚠️', `"${key}" keyword not yet implemented.`)
   }
 }
@@ -58,37 +142,114 @@ async function generate({
   openApiDocument: initialOpenApiDocument,
   preProcess = defaultPreProcess,
   validate = defaultValidate,
-  createImports = defaultCreateImports,
-  createRequestFunction = defaultCreateRequestFunction,
-  createEndpoint = defaultCreateEndpoint,
+  target = 'react-query',
+  createImports = getTarget(target).createImports,
+  createRequestFunction = getTarget(target).createRequestFunction,
+  createEndpoint = getTarget(target).createEndpoint,
   baseUrl,
+  // create zod schemas, and validate responses in 'strict' or 'warn' mode
+  validation,
+  // create component enums as 'union' types, 'const' objects or typescript 'enum's
+  enums = 'union',
+  // create interfaces for object types, and declare inline object types as separate types
+  interfaces = false,
+  // resolve name clashes with a 'suffix', the 'namespace' of schemas or a rename map, see `resolveNames`
+  collisions = 'suffix',
+  // only create endpoints for matching operations, see `filterOperations`
+  include,
+  exclude,
   prettierConfig = {},
 }) {
-  const openApiDocument = await preProcess({
+  const preProcessedOpenApiDocument = await preProcess({
     openApiDocument: initialOpenApiDocument,
   })
 
-  await validate({ openApiDocument })
+  await validate({ openApiDocument: preProcessedOpenApiDocument })
+
+  // openapi 3.1 schemas are converted, see `normalizeDocument`
+  const openApiDocument = filterOperations({
+    openApiDocument: normalizeDocument({
+      openApiDocument: preProcessedOpenApiDocument,
+    }),
+    include,
+    exclude,
+  })
+
+  if (validation && !['strict', 'warn'].includes(validation)) {
+    throw new Error(
+      `Unknown validation mode "${validation}". Use "strict" or "warn".`
+    )
+  }
+
+  if (!['union', 'const', 'enum'].includes(enums)) {
+    throw new Error(
+      `Unknown enums option "${enums}". Use "union", "const" or "enum".`
+    )
+  }
 
   const statements = []
 
   statements.push(createInfoHeader({ openApiDocument }))
   // TODO: openApiDocument.servers[] (maybe put in the info header)
-  // TODO: openApiDocument.security[]
-  // TODO: openApiDocument.components.securitySchemes (maybe also put in info header)
-
-  statements.push(createImports({ openApiDocument }))
 
   buildRefMap({ openApiDocument })
-  statements.push(...createTypesFromSchemas({ openApiDocument }))
-  statements.push(...createTypesFromParameters({ openApiDocument }))
-  statements.push(...createTypesFromRequestBodies({ openApiDocument }))
-  statements.push(...createTypesFromResponses({ openApiDocument }))
+  const { imports, requestFunction, names } = createHelpers({
+    openApiDocument,
+    createImports,
+    createRequestFunction,
+    baseUrl,
+    validation,
+  })
+  // the names of the mocks are reserved, so that the mocks module can import
+  // the types of the client
+  resolveNames({
+    openApiDocument,
+    reservedNames: [...names, ...mockNames],
+    collisions,
+    enums,
+  }).forEach((message) => console.warn('⚠️', message))
+
+  statements.push(...imports)
+  const schemaTypes = createTypesFromSchemas({
+    openApiDocument,
+    enums,
+    interfaces,
+  })
+  statements.push(
+    ...(isSchemasNamespaced()
+      ? [createNamespace(schemasNamespace, schemaTypes)]
+      : schemaTypes)
+  )
+  statements.push(...createTypesFromParameters({ openApiDocument, interfaces }))
+  statements.push(
+    ...createTypesFromRequestBodies({ openApiDocument, interfaces })
+  )
+  statements.push(...createTypesFromResponses({ openApiDocument, interfaces }))
   // TODO:: components.headers, components,examples, components. securitySchemes, components.links, components.callbacks
+  if (validation) {
+    const schemaValidators = createValidatorsFromSchemas({ openApiDocument })
+    statements.push(
+      ...(isSchemasNamespaced()
+        ? [createNamespace(schemasNamespace, schemaValidators)]
+        : schemaValidators)
+    )
+    statements.push(...createValidatorsFromParameters({ openApiDocument }))
+    statements.push(...createValidatorsFromRequestBodies({ openApiDocument }))
+    statements.push(...createValidatorsFromResponses({ openApiDocument }))
+  }
 
-  statements.push(createRequestFunction({ openApiDocument, baseUrl }))
+  statements.push(requestFunction)
   // TODO: openApiDocument.tags[]
-  statements.push(...createEndpoints({ openApiDocument, createEndpoint }))
+  statements.push(
+    ...createEndpoints({
+      openApiDocument,
+      createEndpoint,
+      validation,
+      interfaces,
+    })
+  )
+
+  statements.push(...createWebhooks({ openApiDocument, interfaces }))
 
   // TODO: openApiDocument.externalDocs
 
@@ -98,8 +259,147 @@ async function generate({
   })
 }
 
+/**
+ * creates mock service worker request handlers, which use the types
+ * exported from the generated client module. the options which affect the
+ * names in the client, like `target` and `collisions`, must be the same.
+ */
+async function generateMocks({
+  openApiDocument: initialOpenApiDocument,
+  preProcess = defaultPreProcess,
+  validate = defaultValidate,
+  clientModule = './client',
+  target = 'react-query',
+  createImports = getTarget(target).createImports,
+  createRequestFunction = getTarget(target).createRequestFunction,
+  baseUrl,
+  validation,
+  enums,
+  collisions = 'suffix',
+  include,
+  exclude,
+  prettierConfig = {},
+}) {
+  const preProcessedOpenApiDocument = await preProcess({
+    openApiDocument: initialOpenApiDocument,
+  })
+
+  await validate({ openApiDocument: preProcessedOpenApiDocument })
+
+  // openapi 3.1 schemas are converted, see `normalizeDocument`
+  const openApiDocument = filterOperations({
+    openApiDocument: normalizeDocument({
+      openApiDocument: preProcessedOpenApiDocument,
+    }),
+    include,
+    exclude,
+  })
+
+  const statements = []
+
+  statements.push(createInfoHeader({ openApiDocument }))
+
+  buildRefMap({ openApiDocument })
+  // the handlers use the names of the endpoints in the client
+  const { names } = createHelpers({
+    openApiDocument,
+    createImports,
+    createRequestFunction,
+    baseUrl,
+    validation,
+  })
+  resolveNames({
+    openApiDocument,
+    reservedNames: [...names, ...mockNames],
+    collisions,
+    enums,
+  })
+  statements.push(...createMocks({ openApiDocument, clientModule }))
+
+  return prettier.format(statements.join('\n\n'), {
+    ...prettierConfig,
+    parser: 'typescript',
+  })
+}
+
+/**
+ * compares two versions of a document, and returns the changes which affect
+ * the generated client.
+ */
+async function diff({
+  base,
+  head,
+  preProcess = defaultPreProcess,
+  validate = defaultValidate,
+  include,
+  exclude,
+}) {
+  // every document is processed in its own context
+  const models = await Promise.all(
+    [base, head].map((initialOpenApiDocument) =>
+      runInContext(async () => {
+        const preProcessedOpenApiDocument = await preProcess({
+          openApiDocument: initialOpenApiDocument,
+        })
+
+        await validate({ openApiDocument: preProcessedOpenApiDocument })
+
+        const openApiDocument = filterOperations({
+          openApiDocument: normalizeDocument({
+            openApiDocument: preProcessedOpenApiDocument,
+          }),
+          include,
+          exclude,
+        })
+
+        buildRefMap({ openApiDocument })
+        resolveNames({ openApiDocument })
+        return createDocumentModel({ openApiDocument })
+      })
+    )
+  )
+
+  const changes = compareDocumentModels(...models)
+  return {
+    breaking: changes.some((change) => change.breaking),
+    changes,
+  }
+}
+
 ///
 
+/**
+ * creates the imports and the shared request function of the client, and
+ * returns the names they declare.
+ */
+function createHelpers({
+  openApiDocument,
+  createImports,
+  createRequestFunction,
+  baseUrl,
+  validation,
+}) {
+  const imports = [createImports({ openApiDocument })]
+  if (validation) {
+    imports.push(createZodImports())
+  }
+  const requestFunction = createRequestFunction({
+    openApiDocument,
+    baseUrl,
+    validation,
+  })
+  const names = getDeclaredNames([...imports, requestFunction].join('\n'))
+  // the names declared for webhooks don't depend on the webhooks
+  if (hasWebhooks(openApiDocument)) {
+    names.push(
+      ...getDeclaredNames(
+        createWebhookDispatcher({ events: [], namespaces: [] }).join('\n')
+      )
+    )
+  }
+  return { imports, requestFunction, names }
+}
+
 function createInfoHeader({ openApiDocument }) {
   const {
     title,
@@ -116,8 +416,8 @@ function createInfoHeader({ openApiDocument }) {
   return createComment(
     [
       title,
-      '\n',
-      ...(description ? [description, '\n'] : []),
+      '',
+      ...(description ? [description, ''] : []),
       termsOfService && `Terms of service: ${termsOfService}`,
       contact &&
         `Contact: ${[contact.name, contact.email, contact.url]
@@ -125,52 +425,200 @@ function createInfoHeader({ openApiDocument }) {
           .join(', ')}`,
       license && `License: ${license.name}`,
       `Version: ${version}`,
-    ].filter(Boolean)
+    ].filter((line) => typeof line === 'string')
   )
 }
 
-function createTypesFromSchemas({ openApiDocument }) {
+function createTypesFromSchemas({ openApiDocument, enums, interfaces }) {
   const { components } = openApiDocument
   if (!components || !components.schemas) return []
 
-  return Object.entries(components.schemas).map(([name, schema]) => {
-    // TODO: consider creating interfaces for object types
-    const typeName = createTypeName(name)
-    const typeDefinition = createType(schema)
-    return createTypeAlias(typeName, typeDefinition)
-  })
+  return Object.entries(components.schemas)
+    .map(([name, schema]) => {
+      const ref = `#/components/schemas/${name}`
+      // schema types can be declared in a namespace
+      const typeName = getDeclarationName(getTypeNameFromRef({ $ref: ref }))
+      const comment = createDocComment(schema)
+      // enums can also be created as values, which list the allowed values at runtime
+      if (enums !== 'union' && !isRef(schema) && schema.enum) {
+        return [createEnum(typeName, schema, enums, comment)]
+      }
+      const types = createSchemaComponentTypes(
+        typeName,
+        ref,
+        schema,
+        undefined,
+        interfaces,
+        comment
+      )
+
+      Object.entries(typeVariants).forEach(([variant, { suffix }]) => {
+        if (!hasTypeVariant({ $ref: ref }, variant)) return
+        types.push(
+          ...createSchemaComponentTypes(
+            typeName + suffix,
+            ref,
+            schema,
+            variant,
+            interfaces,
+            comment
+          )
+        )
+      })
+
+      return types
+    })
+    .flat()
+}
+
+function createSchemaComponentTypes(
+  typeName,
+  ref,
+  schema,
+  variant,
+  interfaces,
+  comment
+) {
+  const hoisting = interfaces
+    ? createHoisting(typeName, getContext().schemaScope)
+    : undefined
+  // the type of a discriminator base schema is the union of derived schemas
+  const interfaceParts =
+    interfaces && !isDiscriminatorBaseSchema(schema)
+      ? getInterfaceParts(schema)
+      : undefined
+  const declaration = interfaceParts
+    ? createInterface(typeName, interfaceParts, variant, hoisting, comment)
+    : createTypeAlias(
+        typeName,
+        createSchemaComponentType(ref, schema, variant, hoisting),
+        comment
+      )
+  return hoisting ? [declaration, ...hoisting.types] : [declaration]
+}
+
+function createSchemaComponentType(ref, schema, variant, hoisting) {
+  // a base schema with discriminator becomes the union of all schemas which
+  // extend it via `allOf` (or which are listed in the discriminator mapping)
+  if (isDiscriminatorBaseSchema(schema)) {
+    const { propertyName } = schema.discriminator
+    const targetRefs = getDiscriminatorTargetRefs(schema.discriminator, ref)
+    if (targetRefs.length !== 0) {
+      return createTypeUnion(
+        targetRefs.map((targetRef) =>
+          targetRef === ref
+            ? createTaggedType(
+                createType(schema, variant, hoisting),
+                propertyName,
+                getDiscriminatorValues(schema.discriminator, ref)
+              )
+            : createType({ $ref: targetRef }, variant)
+        )
+      )
+    }
+  }
+  if (schema.allOf) {
+    return createAllOfType(schema, variant, ref, hoisting)
+  }
+  return createType(schema, variant, hoisting)
 }
 
-function createTypesFromParameters({ openApiDocument }) {
+function createTypesFromParameters({ openApiDocument, interfaces }) {
   const { components } = openApiDocument
   if (!components || !components.parameters) return []
 
-  throw new Error('"components.parameters" not yet implemented.')
+  return Object.entries(components.parameters)
+    .map(([name, component]) => {
+      const typeName = getTypeNameFromRef({
+        $ref: `#/components/parameters/${name}`,
+      })
+      if (isRef(component)) {
+        return [createTypeAlias(typeName, getTypeNameFromRef(component))]
+      }
+      const hoisting = interfaces ? createHoisting(typeName) : undefined
+      const declaration = createTypeDeclaration(
+        typeName,
+        getParameterSchema(component),
+        'input',
+        hoisting,
+        createParameterDocComment(component)
+      )
+      return hoisting ? [declaration, ...hoisting.types] : [declaration]
+    })
+    .flat()
 }
 
-function createTypesFromRequestBodies({ openApiDocument }) {
+function createTypesFromRequestBodies({ openApiDocument, interfaces }) {
   const { components } = openApiDocument
   if (!components || !components.requestBodies) return []
 
-  return Object.entries(components.requestBodies).map(([name, component]) => {
-    // FIXME: currently only process the first (not multiple entries with different mediatype)
-    const [schema] = getRequestBodySchemas(component)
-    // TODO: consider creating interfaces for object types
-    const typeName = createTypeName(name, 'RequestBody')
-    const typeDefinition = createType(schema)
-    return createTypeAlias(typeName, typeDefinition)
-  })
+  return Object.entries(components.requestBodies)
+    .map(([name, component]) => {
+      // FIXME: currently only process the first (not multiple entries with different mediatype)
+      const [schema] = getRequestBodySchemas(component)
+      const typeName = getTypeNameFromRef({
+        $ref: `#/components/requestBodies/${name}`,
+      })
+      const hoisting = interfaces ? createHoisting(typeName) : undefined
+      const declaration = createTypeDeclaration(
+        typeName,
+        schema,
+        'input',
+        hoisting,
+        isRef(component) ? undefined : createDocComment(component)
+      )
+      return hoisting ? [declaration, ...hoisting.types] : [declaration]
+    })
+    .flat()
 }
 
-function createTypesFromResponses({ openApiDocument }) {
+function createTypesFromResponses({ openApiDocument, interfaces }) {
   const { components } = openApiDocument
   if (!components || !components.responses) return []
 
-  throw new Error('"components.responses" not yet implemented.')
+  return Object.entries(components.responses)
+    .map(([name, component]) => {
+      const typeName = getTypeNameFromRef({
+        $ref: `#/components/responses/${name}`,
+      })
+      if (isRef(component)) {
+        return [createTypeAlias(typeName, getTypeNameFromRef(component))]
+      }
+      const comment = createDocComment(component)
+      if (!component.content) {
+        return [createTypeAlias(typeName, 'void', comment)]
+      }
+      const hoisting = interfaces ? createHoisting(typeName) : undefined
+      const schemas = getResponseSchemas(component)
+      const declaration =
+        schemas.length === 1
+          ? createTypeDeclaration(
+              typeName,
+              schemas[0],
+              'output',
+              hoisting,
+              comment
+            )
+          : createTypeAlias(
+              typeName,
+              createTypeUnion(
+                schemas.map((schema) => createType(schema, 'output', hoisting))
+              ),
+              comment
+            )
+      return hoisting ? [declaration, ...hoisting.types] : [declaration]
+    })
+    .flat()
 }
 
-function createEndpoints({ openApiDocument, createEndpoint }) {
-  const { paths } = openApiDocument
+function createEndpoints({
+  openApiDocument,
+  createEndpoint,
+  validation,
+  interfaces,
+}) {
+  // documents can also only describe webhooks
+  const { paths = {} } = openApiDocument
 
   const endpoints = []
 
@@ -187,21 +635,6 @@ function createEndpoints({ openApiDocument, createEndpoint }) {
       throw new Error(`External $ref for path item object not yet implemented.`)
     }
 
-    if (operations.servers) {
-      throw new Error(`Custom per-endpoint servers not yet implemented.`)
-    }
-
-    // TODO:
-    const HTTP_METHODS = [
-      'get',
-      'delete',
-      // 'head',
-      // 'options',
-      'patch',
-      'post',
-      'put',
-      // 'trace',
-    ]
     // TODO: should this be a separate type? i.e. OperationParameters & SharedParameters
     const sharedParameters = operations.parameters || []
     // FIXME: code style
@@ -211,120 +644,144 @@ function createEndpoints({ openApiDocument, createEndpoint }) {
         // TODO:
         const {
           // tags,
-          summary,
-          description,
-          // externalDocs,
-          operationId,
           parameters = [],
           requestBody,
           responses,
-          // callbacks,
-          // deprecated,
-          // security,
-          // servers,
+          // callbacks are created with the webhooks, see `createWebhooks`
+          security = openApiDocument.security || [],
+          servers = operations.servers,
         } = operation
 
-        // default to `${method}${path}` when no operationId provided. this is also the behavior of swagger-client
-        const opName = operationId || `${method}${path}`
-        const operationName = createOperationName(opName)
-        const typeName = createTypeName(opName)
+        // the names are created from the operationId, see `resolveNames`
+        const { operationName, typeName } = getOperationNames(method, path)
         const namespace = []
-
-        if (description || summary) {
-          endpoints.push(createComment([description, summary].filter(Boolean)))
-        }
+        // inline object types are declared in the namespace of the operation
+        const hoisting = interfaces
+          ? createHoisting(
+              undefined,
+              createScope(namespaceTypeNames, 'is declared in the namespace')
+            )
+          : undefined
 
         const headers = {}
-        const returnType = 'json' // TODO: actually set return type based on content.mediatype (for refs, we could get it from the refmap)
-        const allParameters = [...sharedParameters, ...parameters]
-        const parametersByLocation = {}
-        allParameters.forEach((parameter) => {
-          if (!parametersByLocation[parameter.in]) {
-            parametersByLocation[parameter.in] = {
-              type: 'object',
-              required: [],
-              properties: {},
-            }
-          }
-          parametersByLocation[parameter.in].properties[parameter.name] =
-            parameter.schema
-          // FIXME: "required" behavior???
-          if (parameter.required !== false) {
-            parametersByLocation[parameter.in].required.push(parameter.name)
-          }
-        })
+        let requestBodyType
+        let requestBodyEncoding
+        const successResponseEntries = Object.entries(
+          responses || {}
+        ).filter(([statusCode]) => statusCode.startsWith('2'))
+        const successResponses = successResponseEntries.map(
+          ([, response]) => response
+        )
+        const returnType = getReturnType(successResponses)
+        const {
+          parametersByLocation,
+          parameterSerialization,
+        } = groupParameters(mergeParameters(sharedParameters, parameters))
 
         Object.entries(parametersByLocation).forEach(([location, schema]) => {
           const typeName = createTypeIdentifier(
             /** typeName + */ `${location}Parameters`
           )
-          const typeDefinition = createType(schema)
+          // parameters are passed as records, which interfaces cannot be assigned to
+          const typeDefinition = createType(
+            schema,
+            'input',
+            hoisting && { ...hoisting, name: typeName }
+          )
           namespace.push(createTypeAlias(typeName, typeDefinition))
+          if (validation) {
+            namespace.push(
+              createValidator(typeName, createZodSchema(schema, 'input'))
+            )
+          }
         })
 
         const responseTypeName = createTypeIdentifier(
           /** typeName + */ `Response`
         )
         if (responses) {
-          const successResponses = Object.entries(responses || {})
-            .filter(([statusCode]) => statusCode.startsWith('2'))
-            .map(([statusCode, { description, content }]) => {
-              if (!content) return ['void']
-
-              // TODO: should we check for specific media types?
-              return Object.entries(content).map(([mediaType, { schema }]) =>
-                createType(schema)
-              )
-            })
-            .flat()
-
-          // FIXME: DRY!
-          const errorResponses = Object.entries(responses || {})
-            .filter(
-              ([statusCode]) =>
-                statusCode === 'default' ||
-                statusCode.startsWith('4') ||
-                statusCode.startsWith('5')
-            )
-            .map(([statusCode, { description, content }]) => {
-              if (!content) return ['unknown']
-
-              // TODO: should we check for specific media types?
-              return Object.entries(content).map(([mediaType, { schema }]) =>
-                createType(schema)
-              )
-            })
-            .flat()
+          const successResponseTypes = createResponseTypes(
+            successResponseEntries,
+            'void',
+            returnType,
+            hoisting && { ...hoisting, name: 'Success' }
+          )
+          const errorResponseEntries = Object.entries(responses).filter(
+            ([statusCode]) =>
+              statusCode === 'default' ||
+              statusCode.startsWith('4') ||
+              statusCode.startsWith('5')
+          )
+          const errorResponseTypes = createResponseTypes(
+            errorResponseEntries,
+            'unknown',
+            undefined,
+            hoisting && { ...hoisting, name: 'Error' }
+          )
 
           const successTypeDefinition = createTypeUnion([
-            ...(successResponses.length ? successResponses : ['void']),
+            ...(successResponseTypes.length ? successResponseTypes : ['void']),
           ])
           const errorTypeDefinition = createTypeUnion([
-            ...(errorResponses.length ? errorResponses : ['unknown']),
+            ...(errorResponseTypes.length ? errorResponseTypes : ['unknown']),
           ])
           namespace.push(
             createNamespace(responseTypeName, [
-              createTypeAlias('Success', successTypeDefinition),
-              createTypeAlias('Error', errorTypeDefinition),
+              createTypeAlias(
+                'Success',
+                successTypeDefinition,
+                createResponsesDocComment(successResponseEntries)
+              ),
+              createTypeAlias(
+                'Error',
+                errorTypeDefinition,
+                createResponsesDocComment(errorResponseEntries)
+              ),
             ])
           )
         }
 
+        // only json response bodies are validated
+        let hasResponseSchema = false
+        if (validation && returnType === 'json') {
+          const responseSchemas = createResponseZodSchemas(successResponses)
+          if (responseSchemas.length !== 0) {
+            namespace.push(
+              createValidator(responseTypeName, createZodUnion(responseSchemas))
+            )
+            hasResponseSchema = true
+          }
+        }
+
         if (requestBody) {
           const schemas = getRequestBodySchemas(requestBody)
-          // FIXME: doing this with oneOf might make sense
-          // const oneOfAllowedMediaTypes = {
-          //   oneOf: Object.entries(content).map(([mediaType, schema]) => {
-
-          //   })
-          // }
-          // TODO: should we check for specific media types?
-          const requestBodies = schemas.map(createType)
           const typeName = createTypeIdentifier(/** typeName + */ `RequestBody`)
-          const typeDefinition = createTypeUnion(requestBodies)
-          namespace.push(createTypeAlias(typeName, typeDefinition))
+          namespace.push(
+            createRequestBodyDeclaration(typeName, requestBody, hoisting)
+          )
+          if (validation) {
+            namespace.push(
+              createValidator(
+                typeName,
+                createZodUnion(
+                  schemas.map((schema) => createZodSchema(schema, 'input'))
+                )
+              )
+            )
+          }
+
+          const { content } = resolveRef(requestBody)
+          const mediaType = getRequestBodyMediaType(content)
+          requestBodyType = getRequestBodyType(mediaType)
+          requestBodyEncoding = getRequestBodyEncoding(content[mediaType])
+          // the browser sets the content type (including the multipart boundary) for `FormData`
+          if (requestBodyType !== 'formData' && !mediaType.includes('*')) {
+            headers['Content-Type'] = mediaType
+          }
+        }
 
-          headers['Content-Type'] = 'application/json'
+        if (hoisting) {
+          namespace.push(...hoisting.types)
         }
 
         ///
@@ -335,7 +792,7 @@ function createEndpoints({ openApiDocument, createEndpoint }) {
         const parameterNamesByLocation = Object.entries(
           parametersByLocation
         ).reduce((acc, [location, parameters]) => {
-          acc[location] = Object.keys(parameters)
+          acc[location] = Object.keys(parameters.properties)
           return acc
         }, {})
 
@@ -344,12 +801,22 @@ function createEndpoints({ openApiDocument, createEndpoint }) {
             operationName,
             method,
             pathTemplate: path,
-            // baseUrl,
+            // servers defined on the operation or path item override the global servers
+            server: servers && servers.length !== 0 ? servers[0] : undefined,
             parameters: parameterNamesByLocation,
+            parameterSerialization,
             hasRequestBody: Boolean(requestBody),
+            requestBodyType,
+            requestBodyEncoding,
             headers,
             returnType,
             typeName,
+            comment: createDocComment(operation),
+            // security requirements are alternatives, each listing the names of required security schemes
+            security: getClientSecurity(openApiDocument, security),
+            responseSchema: hasResponseSchema
+              ? `${typeName}.${responseTypeName}Schema`
+              : undefined,
           })
         )
       })
@@ -358,24 +825,377 @@ function createEndpoints({ openApiDocument, createEndpoint }) {
   return endpoints
 }
 
+/**
+ * returns the names of the security schemes in each security requirement.
+ * mutual tls is handled by the environment, not by the client, so these
+ * schemes don't have credentials, see `createSecurity`. requirements which
+ * only consist of mutual tls schemes are left out, so that the client uses
+ * the other requirements.
+ */
+function getClientSecurity(openApiDocument, security) {
+  const { components = {} } = openApiDocument
+  const securitySchemes = components.securitySchemes || {}
+  const isMutualTls = (name) =>
+    Boolean(securitySchemes[name]) && securitySchemes[name].type === 'mutualTLS'
+  return security
+    .filter((requirement) => {
+      const names = Object.keys(requirement)
+      // an empty requirement allows anonymous requests
+      return names.length === 0 || !names.every(isMutualTls)
+    })
+    .map((requirement) =>
+      Object.keys(requirement).filter((name) => !isMutualTls(name))
+    )
+}
+
+/**
+ * groups parameters by location into object schemas, and collects how they
+ * are serialized.
+ */
+function groupParameters(parameters) {
+  const parametersByLocation = {}
+  const parameterSerialization = {}
+  parameters.forEach((parameterOrRef) => {
+    const parameter = resolveRef(parameterOrRef)
+    if (isIgnoredHeaderParameter(parameter)) return
+    if (!parametersByLocation[parameter.in]) {
+      parametersByLocation[parameter.in] = {
+        type: 'object',
+        required: [],
+        properties: {},
+      }
+    }
+    // referenced parameters use the type created from `components.parameters`
+    const schema = isRef(parameterOrRef)
+      ? parameterOrRef
+      : getParameterSchema(parameter)
+    // the parameter documentation is shown on the property
+    parametersByLocation[parameter.in].properties[parameter.name] = {
+      ...schema,
+      ...getParameterDocumentation(parameter),
+    }
+    // only path parameters are required by default
+    if (parameter.in === 'path' || parameter.required === true) {
+      parametersByLocation[parameter.in].required.push(parameter.name)
+    }
+    const serialization = getParameterSerialization(parameter)
+    if (serialization) {
+      if (!parameterSerialization[parameter.in]) {
+        parameterSerialization[parameter.in] = {}
+      }
+      parameterSerialization[parameter.in][parameter.name] = serialization
+    }
+  })
+  return { parametersByLocation, parameterSerialization }
+}
+
+function createRequestBodyDeclaration(typeName, requestBody, hoisting) {
+  const schemas = getRequestBodySchemas(requestBody)
+  // FIXME: doing this with oneOf might make sense
+  // const oneOfAllowedMediaTypes = {
+  //   oneOf: Object.entries(content).map(([mediaType, schema]) => {
+
+  //   })
+  // }
+  // TODO: should we check for specific media types?
+  const requestBodyHoisting = hoisting && { ...hoisting, name: typeName }
+  const comment = createDocComment(resolveRef(requestBody))
+  return schemas.length === 1
+    ? createTypeDeclaration(
+        typeName,
+        schemas[0],
+        'input',
+        requestBodyHoisting,
+        comment
+      )
+    : createTypeAlias(
+        typeName,
+        createTypeUnion(
+          schemas.map((schema) =>
+            createType(schema, 'input', requestBodyHoisting)
+          )
+        ),
+        comment
+      )
+}
+
+/**
+ * header names are case-insensitive, and servers like node's `http` module
+ * receive them in lower case.
+ */
+function createLowerCaseHeaderSchema(schema) {
+  const properties = {}
+  Object.entries(schema.properties).forEach(([name, property]) => {
+    properties[name.toLowerCase()] = property
+  })
+  return {
+    ...schema,
+    required: schema.required.map((name) => name.toLowerCase()),
+    properties,
+  }
+}
+
+/**
+ * creates the types of webhooks and callbacks, and a dispatcher which routes
+ * incoming requests to typed handlers, see `createWebhookDispatcher`.
+ */
+function createWebhooks({ openApiDocument, interfaces }) {
+  const webhookOperations = getWebhookOperations(openApiDocument)
+  if (webhookOperations.length === 0) return []
+
+  // the types of every webhook are declared in a namespace in `Webhooks`
+  const scope = createScope([])
+  const namespaces = []
+  const events = webhookOperations.map(
+    ({ event, expression, sharedParameters, operation }) => {
+      const { parameters = [], requestBody, responses = {} } = operation
+      const typeName = createUniqueTypeName(createTypeIdentifier(event), scope)
+      const namespace = []
+      const hoisting = interfaces
+        ? createHoisting(
+            undefined,
+            createScope(namespaceTypeNames, 'is declared in the namespace')
+          )
+        : undefined
+
+      // the dispatcher only passes the body and the headers to the handlers
+      const { parametersByLocation } = groupParameters(
+        mergeParameters(sharedParameters, parameters)
+      )
+      const headerSchema = parametersByLocation.header
+        ? createLowerCaseHeaderSchema(parametersByLocation.header)
+        : undefined
+      if (headerSchema) {
+        namespace.push(
+          createTypeAlias(
+            'HeaderParameters',
+            createType(
+              headerSchema,
+              'input',
+              hoisting && { ...hoisting, name: 'HeaderParameters' }
+            )
+          )
+        )
+      }
+      if (requestBody) {
+        namespace.push(
+          createRequestBodyDeclaration('RequestBody', requestBody, hoisting)
+        )
+      }
+
+      // handlers return the body of a success response
+      const successResponseEntries = Object.entries(
+        responses
+      ).filter(([statusCode]) => statusCode.startsWith('2'))
+      const responseTypes = createResponseTypes(
+        successResponseEntries,
+        'void',
+        getReturnType(successResponseEntries.map(([, response]) => response)),
+        hoisting && { ...hoisting, name: 'Response' }
+      )
+      namespace.push(
+        createTypeAlias(
+          'Response',
+          createTypeUnion(responseTypes.length ? responseTypes : ['void']),
+          createResponsesDocComment(successResponseEntries)
+        )
+      )
+
+      if (hoisting) {
+        namespace.push(...hoisting.types)
+      }
+      namespaces.push(createNamespace(typeName, namespace))
+
+      return {
+        event,
+        expression,
+        typeName,
+        hasRequestBody: Boolean(requestBody),
+        hasHeaders: Boolean(headerSchema),
+        requiredHeaders: headerSchema ? headerSchema.required : [],
+        comment: createDocComment(operation),
+      }
+    }
+  )
+
+  return createWebhookDispatcher({ events, namespaces })
+}
+
 ///
 
 function createComment(stringOrLines) {
-  const lines = Array.isArray(stringOrLines)
-    ? stringOrLines
-    : stringOrLines.split('\n')
+  const lines = (Array.isArray(stringOrLines) ? stringOrLines : [stringOrLines])
+    .map((line) => line.split('\n'))
+    .flat()
+    // don't end the comment early
+    .map((line) => line.trimEnd().replace(/\*\//g, '*\\/'))
   // prettier-ignore
   return [
     '/**',
     lines
-      .map((s) => ' * ' + s.trim())
+      .map((s) => (s ? ' * ' + s : ' *'))
       .join('\n'),
     ' */'
   ].join('\n')
 }
 
-function createTypeAlias(name, typeDefinition) {
-  return `export type ${name} = ${typeDefinition}`
+/**
+ * creates a jsdoc comment from the documentation fields of a schema,
+ * parameter, request body, response or operation.
+ */
+function createDocComment(object) {
+  const lines = getDocumentation(object)
+  return lines.length !== 0 ? createComment(lines) : undefined
+}
+
+function createParameterDocComment(parameter) {
+  return createDocComment({
+    ...getParameterSchema(parameter),
+    ...getParameterDocumentation(parameter),
+  })
+}
+
+function createResponsesDocComment(responseEntries) {
+  const lines = responseEntries
+    .map(([statusCode, response]) => [statusCode, resolveRef(response)])
+    .filter(([, response]) => response.description)
+    .map(([statusCode, response]) => `${statusCode}: ${response.description}`)
+  return lines.length !== 0 ? createComment(lines) : undefined
+}
+
+function getParameterDocumentation(parameter) {
+  const documentation = {}
+  const keys = ['description', 'deprecated', 'example']
+  keys.forEach((key) => {
+    if (parameter[key] !== undefined) {
+      documentation[key] = parameter[key]
+    }
+  })
+  return documentation
+}
+
+function getDocumentation(object) {
+  const { title, summary, description } = object
+  const texts = [title || summary, description].filter(Boolean)
+  // separate paragraphs with an empty line
+  const lines = texts
+    .map((text, index) => (index === 0 ? [text] : ['', text]))
+    .flat()
+
+  const tags = []
+  if (object.deprecated === true) {
+    tags.push('@deprecated')
+  }
+  if (typeof object.format === 'string') {
+    tags.push(`@format ${object.format}`)
+  }
+  // in openapi 3.0, `exclusiveMinimum` and `exclusiveMaximum` are booleans
+  if (typeof object.minimum === 'number') {
+    tags.push(
+      `@${object.exclusiveMinimum === true ? 'exclusiveMinimum' : 'minimum'} ${
+        object.minimum
+      }`
+    )
+  }
+  if (typeof object.maximum === 'number') {
+    tags.push(
+      `@${object.exclusiveMaximum === true ? 'exclusiveMaximum' : 'maximum'} ${
+        object.maximum
+      }`
+    )
+  }
+  documentedConstraints.forEach((keyword) => {
+    const value = object[keyword]
+    if (typeof value === 'number' || typeof value === 'string') {
+      tags.push(`@${keyword} ${value}`)
+    } else if (value === true) {
+      tags.push(`@${keyword}`)
+    }
+  })
+  if (object.default !== undefined) {
+    tags.push(`@default ${JSON.stringify(object.default)}`)
+  }
+  if (object.example !== undefined) {
+    const example = JSON.stringify(object.example, null, 2)
+    // examples of objects and arrays start on a new line
+    tags.push(
+      example.includes('\n') ? `@example\n${example}` : `@example ${example}`
+    )
+  }
+  if (object.externalDocs && object.externalDocs.url) {
+    const { url, description } = object.externalDocs
+    tags.push(description ? `@see ${url} ${description}` : `@see ${url}`)
+  }
+
+  if (lines.length !== 0 && tags.length !== 0) lines.push('')
+  return lines.concat(tags)
+}
+
+function createTypeAlias(name, typeDefinition, comment) {
+  const typeAlias = `export type ${name} = ${typeDefinition}`
+  return comment ? `${comment}\n${typeAlias}` : typeAlias
+}
+
+/**
+ * creates an interface for object schemas, and a type alias otherwise.
+ */
+function createTypeDeclaration(name, schema, variant, hoisting, comment) {
+  const interfaceParts = hoisting ? getInterfaceParts(schema) : undefined
+  return interfaceParts
+    ? createInterface(name, interfaceParts, variant, hoisting, comment)
+    : createTypeAlias(name, createType(schema, variant, hoisting), comment)
+}
+
+function createInterface(name, { bases, schemas }, variant, hoisting, comment) {
+  const heritage =
+    bases.length !== 0
+      ? ` extends ${bases.map((ref) => createType(ref, variant)).join(', ')}`
+      : ''
+  const members = schemas
+    .map((schema) =>
+      createObjectTypeMembers(
+        createObjectTypeProperties(schema, variant, hoisting),
+        createAdditionalPropertiesType(schema, variant, hoisting)
+      )
+    )
+    .flat()
+  const declaration = `export interface ${name}${heritage} {
+    ${members.join(',\n')}
+  }`
+  return comment ? `${comment}\n${declaration}` : declaration
+}
+
+/**
+ * returns the referenced schemas an interface extends, and the object schemas
+ * which define its members, or `undefined` when the schema is not an object.
+ */
+function getInterfaceParts(schema) {
+  if (isRef(schema) || schema.nullable) return undefined
+  if (isObjectSchema(schema)) return { bases: [], schemas: [schema] }
+  if (!schema.allOf || schema.type || schema.properties) return undefined
+  if (schema.anyOf || schema.oneOf || schema.enum || schema.not) {
+    return undefined
+  }
+
+  const bases = schema.allOf.filter(isRef)
+  const schemas = schema.allOf.filter((subSchema) => !isRef(subSchema))
+  // interfaces can only extend object types, and cannot declare a property twice
+  const propertyNames = schemas
+    .map((subSchema) => Object.keys(subSchema.properties || {}))
+    .flat()
+  if (
+    bases.some(
+      (ref) =>
+        isDiscriminatorBaseSchema(ref) || !getInterfaceParts(resolveRef(ref))
+    ) ||
+    !schemas.every(
+      (subSchema) => isObjectSchema(subSchema) && !subSchema.nullable
+    ) ||
+    new Set(propertyNames).size !== propertyNames.length
+  ) {
+    return undefined
+  }
+  return { bases, schemas }
 }
 
 function createNamespace(name, children) {
@@ -384,66 +1204,160 @@ function createNamespace(name, children) {
   }`
 }
 
-function createType(schema) {
+function createType(schema, variant, hoisting) {
   if (isRef(schema)) {
-    return getTypeNameFromRef(schema)
+    const typeName = getTypeNameFromRef(schema)
+    return hasTypeVariant(schema, variant)
+      ? typeName + typeVariants[variant].suffix
+      : typeName
   }
 
   // FIXME: this only works in a few cases
   if (schema.allOf) {
-    return schema.allOf.map(createType).join(' & ')
+    return createAllOfType(schema, variant, undefined, hoisting)
   }
   if (schema.anyOf) {
-    return schema.anyOf.map(createType).join(' | ')
+    return createOneOfType(
+      schema.anyOf,
+      schema.discriminator,
+      variant,
+      hoisting
+    )
   }
   if (schema.not) {
     throw new Error(`"not" keyword not yet implemented.`)
   }
   if (schema.oneOf) {
-    return schema.oneOf.map(createType).join(' | ')
-  }
-  if (schema.discriminator) {
-    throw new Error(`"discriminator" keyword not yet implemented.`)
+    return createOneOfType(
+      schema.oneOf,
+      schema.discriminator,
+      variant,
+      hoisting
+    )
   }
+  // a discriminator on a schema without `oneOf` or `anyOf` is only relevant
+  // for schemas which extend it, see `createSchemaComponentType`
 
-  if (schema.deprecated) {
-    warn('deprecated')
-  }
-  if (schema.default) {
-    warn('default')
-  }
+  // constraints which cannot be expressed as types are documented instead,
+  // see `getDocumentation`
 
-  // TODO: support these valid json schema properties:
-  // - title
-  // - multipleOf
-  // - maximum
-  // - exclusiveMaximum
-  // - minimum
-  // - exclusiveMinimum
-  // - maxLength
-  // - minLength
-  // - pattern (=RegExp)
-  // - maxItems
-  // - minItems
-  // - uniqueItems
-  // - maxProperties
-  // - minProperties
+  // enums can have any type, including arrays and objects
+  if (schema.enum) {
+    return createEnumType(schema)
+  }
 
   switch (schema.type) {
     case 'array':
-      return createArrayType(schema)
+      return createArrayType(schema, variant, hoisting)
     case 'object':
-      return createObjectType(schema)
+      return createObjectType(schema, variant, hoisting)
     default:
       return createScalarType(schema)
   }
 }
 
-function createScalarType(schema) {
-  if (schema.enum) {
-    return createEnumType(schema)
+/**
+ * inline object types are declared as separate types when creating
+ * interfaces. they are named after their position in the parent type, e.g.
+ * `OrderLineItem` for the items of the `lineItems` property of `Order`.
+ */
+function createHoisting(name, scope) {
+  return { name, scope, types: [] }
+}
+
+function createNestedType(schema, variant, hoisting) {
+  if (hoisting && isObjectSchema(schema)) {
+    return createHoistedType(schema, variant, hoisting)
+  }
+  return createType(schema, variant, hoisting)
+}
+
+function createHoistedType(schema, variant, hoisting) {
+  const { nullable, ...objectSchema } = schema
+  const name = createUniqueTypeName(hoisting.name, hoisting.scope)
+  // reserve the position, so that types are declared before the types they contain
+  const index = hoisting.types.push(undefined) - 1
+  hoisting.types[index] = createInterface(
+    name,
+    { bases: [], schemas: [objectSchema] },
+    variant,
+    { ...hoisting, name },
+    createDocComment(objectSchema)
+  )
+  return nullable ? createNullableType(name) : name
+}
+
+function isObjectSchema(schema) {
+  return (
+    !isRef(schema) &&
+    schema.type === 'object' &&
+    schema.properties !== undefined &&
+    !schema.allOf &&
+    !schema.anyOf &&
+    !schema.oneOf &&
+    !schema.enum &&
+    !schema.not
+  )
+}
+
+function singularize(name) {
+  if (/ies$/.test(name)) return `${name.slice(0, -3)}y`
+  if (/(ss|x|ch|sh)es$/.test(name)) return name.slice(0, -2)
+  if (/[^su]s$/.test(name)) return name.slice(0, -1)
+  return `${name}Item`
+}
+
+function createAllOfType(schema, variant, ref, hoisting) {
+  return schema.allOf
+    .map((schemaOrRef) => {
+      if (isRef(schemaOrRef) && isDiscriminatorBaseSchema(schemaOrRef)) {
+        return createDerivedType(resolveRef(schemaOrRef), variant, ref)
+      }
+      return createType(schemaOrRef, variant, hoisting)
+    })
+    .join(' & ')
+}
+
+function createOneOfType(schemas, discriminator, variant, hoisting) {
+  if (!discriminator) {
+    return createTypeUnion(
+      schemas.map((schema) => createType(schema, variant, hoisting))
+    )
   }
+  const { propertyName } = discriminator
+  return createTypeUnion(
+    schemas.map((schemaOrRef) => {
+      // we can only determine discriminator values for referenced schemas
+      if (!isRef(schemaOrRef)) return createType(schemaOrRef, variant, hoisting)
+      return createTaggedType(
+        createType(schemaOrRef, variant),
+        propertyName,
+        getDiscriminatorValues(discriminator, schemaOrRef.$ref)
+      )
+    })
+  )
+}
 
+function createDerivedType(baseSchema, variant, ref) {
+  // we cannot reference the base schema by name, because that is the union
+  // of all derived schemas. also, inline schemas don't have an implicit
+  // discriminator value
+  const baseType = createType(baseSchema, variant)
+  if (!ref) return baseType
+  const { propertyName } = baseSchema.discriminator
+  return createTaggedType(
+    `Omit<${baseType}, ${JSON.stringify(propertyName)}>`,
+    propertyName,
+    getDiscriminatorValues(baseSchema.discriminator, ref)
+  )
+}
+
+function createTaggedType(type, propertyName, values) {
+  const tag = createTypeUnion(values.map(createLiteralType))
+  return `(${type} & { ${JSON.stringify(propertyName)}: ${tag} })`
+}
+
+function createScalarType(schema) {
   switch (schema.type) {
     case 'boolean': {
       const type = 'boolean'
@@ -472,110 +1386,226 @@ function createScalarType(schema) {
        * the openapi spec defines "byte", "binary", "date", "date-time" and
        * "password" as string formats, but allows free-form values, even
        * though those are undefined by the spec.
+       * binary strings are used for file uploads, e.g. in multipart requests.
        */
-      const type = schema.format ? `string /* ${schema.format} */` : 'string'
+      const type =
+        schema.format === 'binary'
+          ? 'Blob | File'
+          : schema.format
+          ? `string /* ${schema.format} */`
+          : 'string'
       return schema.nullable ? createNullableType(type) : type
     }
-    default: {
-      // TODO: not sure if it is actually valid to have a scheme pbject
-      // without `type` - but we need to work around some weirdness
-      const wrapped = schema.enum.map((value) =>
-        typeof value === 'string' ? `"${value}"` : String(value)
-      )
-      const values = schema.nullable ? [...wrapped, 'null'] : wrapped
-      return createTypeUnion(values)
-      // throw new Error(`Unknown enum type ${schema.type}.`)
-    }
+    default:
+      // a schema object without `type` and `enum` allows any value
+      return 'unknown'
   }
 }
 
 function createEnumType(schema) {
-  // TODO: can enum values be $refs?
-  // TODO: are there enums of arrays, objects?
-  switch (schema.type) {
-    case 'boolean':
-    case 'integer':
-    case 'number': {
-      const values = schema.nullable ? [...schema.enum, 'null'] : schema.enum
-      return createTypeUnion(values)
+  // enum values are json values, so the literal types don't depend on `type`
+  const values = schema.enum.map(createLiteralType)
+  if (schema.nullable && !values.includes('null')) {
+    values.push('null')
+  }
+  return createTypeUnion(Array.from(new Set(values)))
+}
+
+/**
+ * creates a component enum as `const` object with a derived union type, or
+ * as typescript `enum`. member names and descriptions can be provided with
+ * the `x-enum-varnames` and `x-enum-descriptions` extensions.
+ */
+function createEnum(typeName, schema, enums, comment) {
+  const names = getEnumMemberNames(schema)
+  const descriptions = schema['x-enum-descriptions'] || []
+  const docs = comment ? `${comment}\n` : ''
+
+  // typescript enums only allow string and number values
+  const isTypeScriptEnum =
+    enums === 'enum' &&
+    !schema.nullable &&
+    schema.enum.every(
+      (value) => typeof value === 'string' || typeof value === 'number'
+    )
+  const members = schema.enum.map((value, index) => {
+    const description = descriptions[index]
+    const name = createPropertyName(names[index])
+    const member = isTypeScriptEnum
+      ? `${name} = ${createLiteralType(value)}`
+      : `${name}: ${createLiteralType(value)}`
+    return typeof description === 'string' && description
+      ? `${createComment(description)}\n${member}`
+      : member
+  })
+
+  if (isTypeScriptEnum) {
+    return `${docs}export enum ${typeName} {
+      ${members.join(',\n')}
+    }`
+  }
+
+  const type = `(typeof ${typeName})[keyof typeof ${typeName}]`
+  return `${docs}export const ${typeName} = {
+    ${members.join(',\n')}
+  } as const
+  ${docs}export type ${typeName} = ${
+    schema.nullable && !schema.enum.includes(null)
+      ? createNullableType(type)
+      : type
+  }`
+}
+
+function getEnumMemberNames(schema) {
+  const varnames = schema['x-enum-varnames'] || []
+  const names = new Set()
+  return schema.enum.map((value, index) => {
+    const varname = varnames[index]
+    let name
+    if (typeof varname === 'string' && varname) {
+      name = varname
+    } else {
+      const string =
+        value !== null && typeof value === 'object'
+          ? JSON.stringify(value)
+          : String(value)
+      name = toPascalCase(string) || 'Empty'
+      // derived names should be valid identifiers
+      if (/^\d/.test(name)) {
+        name = `Value${name}`
+      }
     }
-    case 'string': {
-      const wrapped = schema.enum.map((value) => `"${value}"`)
-      const values = schema.nullable ? [...wrapped, 'null'] : wrapped
-      return createTypeUnion(values)
+    // values like "a-b" and "a_b" result in the same name
+    const baseName = name
+    for (let i = 2; names.has(name); i++) {
+      name = `${baseName}${i}`
     }
-    default:
-      throw new Error(`Unknown enum type ${schema.type}.`)
-  }
+    names.add(name)
+    return name
+  })
+}
+
+function createLiteralType(value) {
+  // json values are valid literal types, also for arrays and objects
+  return JSON.stringify(value)
+}
+
+function createPropertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name)
 }
 
-function createArrayType(schema) {
-  const type = `Array<${createType(schema.items)}>`
+function createArrayType(schema, variant, hoisting) {
+  const itemHoisting = hoisting && {
+    ...hoisting,
+    name: singularize(hoisting.name),
+  }
+  const type = schema.prefixItems
+    ? createTupleType(schema, variant, itemHoisting)
+    : `Array<${createNestedType(schema.items || {}, variant, itemHoisting)}>`
   return schema.nullable ? createNullableType(type) : type
 }
 
-function createObjectType(schema) {
+/**
+ * creates a tuple type from `prefixItems`, with `items` as the type of the
+ * remaining elements. like in json schema, the elements after `minItems` are
+ * optional.
+ */
+function createTupleType(schema, variant, hoisting) {
+  const { prefixItems, items = {}, minItems = 0, maxItems } = schema
+  const elements = prefixItems.map((itemSchema, index) => {
+    const type = createNestedType(itemSchema, variant, hoisting)
+    return index < minItems ? type : `(${type})?`
+  })
+  if (items !== false && !(maxItems <= prefixItems.length)) {
+    elements.push(`...Array<${createNestedType(items, variant, hoisting)}>`)
+  }
+  return `[${elements.join(', ')}]`
+}
+
+function createObjectType(schema, variant, hoisting) {
   // TODO: is it possible to have both properties and additionalProperties?
   // if yes, we would have to use { [key: string]: unknown } instead of Record<string, unknown>
   // TODO: also, clarify additionalProperties: the spec says:
   // "Consistent with JSON Schema, additionalProperties defaults to true."
 
-  let properties = []
+  const properties = createObjectTypeProperties(schema, variant, hoisting)
+  const valueType = createAdditionalPropertiesType(schema, variant, hoisting)
 
-  if (schema.properties) {
-    // FIXME: "required" is quite confusing, especially wrt to the default behavior,
-    // as it is actually context dependent when used together with `readOnly`/`writeOnly`.
-    // we don't currently handle that context-aware behavior (which will change in openapi 3.1 anyway).
-    // we default to all properties being optional, as required by spec.
-    const requiredProperties = new Set(
-      schema.required // || Object.keys(schema.properties)
-    )
-    properties.push(
-      ...Object.entries(schema.properties).map(([name, schema]) =>
-        createObjectTypeProperty(name, schema, requiredProperties.has(name))
-      )
-    )
+  // use Record for dictionary
+  if (valueType && properties.length === 0) {
+    const type = `Record<string, ${valueType}>`
+    return schema.nullable ? createNullableType(type) : type
   }
 
-  if (schema.additionalProperties !== undefined) {
-    // use Record for dictionary
-    if (properties.length === 0) {
-      let type
-      if (
-        schema.additionalProperties === true ||
-        Object.keys(schema.additionalProperties).length === 0
-      ) {
-        type = 'Record<string, unknown>'
-      } else {
-        type = `Record<string, ${createType(schema.additionalProperties)}>`
-      }
-      return schema.nullable ? createNullableType(type) : type
-    }
+  // properties can be preceded by comments
+  const type = [
+    '{',
+    createObjectTypeMembers(properties, valueType).join(',\n'),
+    '}',
+  ].join('\n')
+  return schema.nullable ? createNullableType(type) : type
+}
 
-    if (schema.additionalProperties === true) {
-      properties.push('[key: string]: unknown')
-    } else {
-      properties.push(
-        `[key: string]: ${createType(schema.additionalProperties)}`
-      )
-    }
-  }
+function createObjectTypeMembers(properties, valueType) {
+  return valueType ? [...properties, `[key: string]: ${valueType}`] : properties
+}
 
-  const type = ['{', properties, '}'].join('\n')
-  return schema.nullable ? createNullableType(type) : type
+function createObjectTypeProperties(schema, variant, hoisting) {
+  if (!schema.properties) return []
+  // FIXME: "required" is quite confusing, especially wrt to the default behavior,
+  // as it is actually context dependent when used together with `readOnly`/`writeOnly`.
+  // we don't currently handle that context-aware behavior (which will change in openapi 3.1 anyway).
+  // we default to all properties being optional, as required by spec.
+  const requiredProperties = new Set(
+    schema.required // || Object.keys(schema.properties)
+  )
+  return Object.entries(schema.properties)
+    .filter(([, schema]) => !isExcludedFromTypeVariant(schema, variant))
+    .map(([name, schema]) =>
+      createObjectTypeProperty(
+        name,
+        schema,
+        requiredProperties.has(name),
+        variant,
+        hoisting && {
+          ...hoisting,
+          name: `${hoisting.name}${toPascalCase(name)}`,
+        }
+      )
+    )
 }
 
-function createObjectTypeProperty(name, schema, required = false) {
-  if (schema.readOnly) {
-    warn('readOnly')
-  }
-  if (schema.writeOnly) {
-    warn('writeOnly')
+function createAdditionalPropertiesType(schema, variant, hoisting) {
+  const { additionalProperties } = schema
+  if (additionalProperties === undefined) return undefined
+  if (
+    additionalProperties === true ||
+    Object.keys(additionalProperties).length === 0
+  ) {
+    return 'unknown'
   }
+  return createNestedType(
+    additionalProperties,
+    variant,
+    hoisting && { ...hoisting, name: `${hoisting.name}Value` }
+  )
+}
+
+function createObjectTypeProperty(
+  name,
+  schema,
+  required = false,
+  variant,
+  hoisting
+) {
   if (schema.xml) {
     warn('xml')
   }
-  return `"${name}"${required ? '' : '?'}: ${createType(schema)}`
+  const property = `${JSON.stringify(name)}${
+    required ? '' : '?'
+  }: ${createNestedType(schema, variant, hoisting)}`
+  const comment = createDocComment(schema)
+  return comment ? `${comment}\n${property}` : property
 }
 
 function createTypeUnion(types) {
@@ -587,8 +1617,111 @@ function createNullableType(type) {
   return createTypeUnion(types)
 }
 
-function getRequestBodySchemas(maybeSchema) {
-  // TODO: can we assume this is valid, e.g. { $ref: "" } when !content
-  if (!maybeSchema.content) return [maybeSchema]
-  return Object.values(maybeSchema.content).map(({ schema }) => schema)
+function getRequestBodyMediaType(content) {
+  const mediaTypes = Object.keys(content)
+  // prefer json when the server accepts different media types
+  const jsonMediaType = mediaTypes.find(
+    (mediaType) => getRequestBodyType(mediaType) === 'json'
+  )
+  return jsonMediaType || mediaTypes[0]
+}
+
+function getRequestBodyType(mediaType) {
+  const [type] = mediaType.toLowerCase().split(';')
+  if (type === 'application/json' || type.endsWith('+json')) {
+    return 'json'
+  }
+  if (type === 'multipart/form-data') {
+    return 'formData'
+  }
+  if (type === 'application/x-www-form-urlencoded') {
+    return 'urlencoded'
+  }
+  // everything else, e.g. `text/plain` or `application/octet-stream`, is sent as is
+  return 'raw'
+}
+
+function getRequestBodyEncoding({ encoding = {} }) {
+  // we can only set the content type of the individual parts in multipart requests
+  const contentTypes = {}
+  Object.entries(encoding).forEach(([propertyName, { contentType }]) => {
+    if (contentType) {
+      contentTypes[propertyName] = { contentType }
+    }
+  })
+  return contentTypes
+}
+
+function createResponseTypes(
+  responseEntries,
+  fallbackType,
+  returnType,
+  hoisting
+) {
+  const types = responseEntries
+    .map(([statusCode, responseOrRef]) => {
+      const response = resolveRef(responseOrRef)
+      // responses without content have no body
+      if (!response.content) return [fallbackType]
+      // response bodies which are not decoded as json have a fixed type
+      if (returnType && returnType !== 'json') {
+        return [returnTypeDefinitions[returnType]]
+      }
+      // referenced responses use the type created from `components.responses`
+      if (isRef(responseOrRef)) return [getTypeNameFromRef(responseOrRef)]
+      return Object.entries(response.content)
+        .filter(
+          ([mediaType]) =>
+            !returnType || getReturnTypeForMediaType(mediaType) === returnType
+        )
+        .map(([, { schema = {} }]) =>
+          createNestedType(
+            schema,
+            'output',
+            hoisting && {
+              ...hoisting,
+              name: `${hoisting.name}${capitalize(statusCode)}`,
+            }
+          )
+        )
+    })
+    .flat()
+  return Array.from(new Set(types))
+}
+
+function createResponseZodSchemas(responses) {
+  const schemas = responses
+    .map((responseOrRef) => {
+      const response = resolveRef(responseOrRef)
+      if (!response.content) return []
+      if (isRef(responseOrRef)) return [createZodSchema(responseOrRef)]
+      return Object.entries(response.content)
+        .filter(
+          ([mediaType]) => getReturnTypeForMediaType(mediaType) === 'json'
+        )
+        .map(([, { schema = {} }]) => createZodSchema(schema, 'output'))
+    })
+    .flat()
+  return Array.from(new Set(schemas))
+}
+
+function getParameterSerialization(parameter) {
+  // only include what differs from the default serialization of the parameter location
+  const serialization = {}
+  if (parameter.style) {
+    serialization.style = parameter.style
+  }
+  if (typeof parameter.explode === 'boolean') {
+    serialization.explode = parameter.explode
+  }
+  if (parameter.allowReserved === true) {
+    serialization.allowReserved = true
+  }
+  if (parameter.content) {
+    const [mediaType] = Object.keys(parameter.content)
+    if (mediaType && getRequestBodyType(mediaType) === 'json') {
+      serialization.json = true
+    }
+  }
+  return Object.keys(serialization).length !== 0 ? serialization : undefined
 }
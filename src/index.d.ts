@@ -1,11 +1,105 @@
+type Target =
+  | 'react-query'
+  | 'fetch'
+  | 'axios'
+  | 'swr'
+  | 'tanstack-react-query'
+  | 'tanstack-vue-query'
+  | 'tanstack-svelte-query'
+  | 'tanstack-solid-query'
+
+type OperationFilter = {
+  tags?: Array<string>
+  paths?: Array<string>
+  operationIds?: Array<string>
+}
+
+// component refs like `#/components/schemas/Pet` and operation ids map to new names
+type Collisions = 'suffix' | 'namespace' | Record<string, string>
+
 declare function generate({
   openApiDocument,
+  target,
   baseUrl,
+  validation,
+  enums,
+  interfaces,
+  collisions,
+  include,
+  exclude,
   prettierConfig,
 }: {
   openApiDocument: any
+  target?: Target
   baseUrl?: string
+  validation?: 'strict' | 'warn'
+  enums?: 'union' | 'const' | 'enum'
+  interfaces?: boolean
+  collisions?: Collisions
+  include?: OperationFilter
+  exclude?: OperationFilter
   prettierConfig?: any
 }): string
 
-export { generate }
+declare function generateMocks({
+  openApiDocument,
+  clientModule,
+  target,
+  baseUrl,
+  validation,
+  enums,
+  collisions,
+  include,
+  exclude,
+  prettierConfig,
+}: {
+  openApiDocument: any
+  clientModule?: string
+  target?: Target
+  baseUrl?: string
+  validation?: 'strict' | 'warn'
+  enums?: 'union' | 'const' | 'enum'
+  collisions?: Collisions
+  include?: OperationFilter
+  exclude?: OperationFilter
+  prettierConfig?: any
+}): string
+
+type Change = {
+  type: string
+  breaking: boolean
+  operation: string
+  location?: string
+  message: string
+}
+
+declare function diff({
+  base,
+  head,
+  include,
+  exclude,
+}: {
+  base: any
+  head: any
+  include?: OperationFilter
+  exclude?: OperationFilter
+}): Promise<{ breaking: boolean; changes: Array<Change> }>
+
+declare function bundle({
+  openApiDocument,
+  location,
+}: {
+  openApiDocument: any
+  location: string
+}): Promise<{ openApiDocument: any; locations: Array<string> }>
+
+export {
+  generate,
+  generateMocks,
+  diff,
+  bundle,
+  Target,
+  OperationFilter,
+  Collisions,
+  Change,
+}
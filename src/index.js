@@ -1,7 +1,11 @@
-const { generate } = require('./generate')
+const { generate, generateMocks, diff } = require('./generate')
 const parse = require('./parse')
+const { bundle } = require('./bundle')
 
 module.exports = {
   generate,
+  generateMocks,
+  diff,
   parse,
+  bundle,
 }
@@ -0,0 +1,30 @@
+const { promises: fs } = require('fs')
+const got = require('got')
+
+module.exports = {
+  getFileContent,
+  getUrlContent,
+}
+
+async function getFileContent(absolutePath) {
+  const content = await fs.readFile(absolutePath, { encoding: 'utf-8' })
+  const format = absolutePath.endsWith('.json')
+    ? 'json'
+    : /\.ya?ml$/.test(absolutePath)
+    ? 'yaml'
+    : undefined
+  return [content, format]
+}
+
+async function getUrlContent(url) {
+  const response = await got(url)
+  const content = response.body
+  const contentType = response.headers['content-type']
+  const format = contentType.startsWith('application/json')
+    ? 'json'
+    : // there is no official mimetype for yaml - 'application/yaml' or 'text/x-yaml' etc.
+    contentType.includes('yaml')
+    ? 'yaml'
+    : undefined
+  return [content, format]
+}
@@ -0,0 +1,454 @@
+const {
+  isRef,
+  resolveRef,
+  isDiscriminatorBaseSchema,
+  getDiscriminatorTargetRefs,
+  getDiscriminatorValues,
+  isExcludedFromTypeVariant,
+  getReturnType,
+  getReturnTypeForMediaType,
+  HTTP_METHODS,
+} = require('./utils')
+const { getOperationNames } = require('./names')
+
+/**
+ * words used for generated strings.
+ */
+const words = [
+  'alpha',
+  'bravo',
+  'charlie',
+  'delta',
+  'echo',
+  'foxtrot',
+  'golf',
+  'hotel',
+  'india',
+  'juliett',
+  'kilo',
+  'lima',
+]
+
+/**
+ * names declared by the mocks module. the types of the client are imported
+ * into the module, so the client must not use these names, see
+ * `resolveNames`.
+ */
+const mockNames = [
+  'http',
+  'HttpResponse',
+  'JsonBodyType',
+  'MockResponse',
+  'MockResolver',
+  'createMockResponse',
+]
+
+module.exports = {
+  createMocks,
+  mockNames,
+}
+
+function createMocks({ openApiDocument, clientModule }) {
+  const handlers = []
+  const typeNames = []
+
+  Object.entries(openApiDocument.paths || {}).forEach(([path, operations]) => {
+    Object.entries(operations)
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .forEach(([method, operation]) => {
+        // operations without responses don't have a `Response` namespace
+        if (!operation.responses) return
+
+        // see `createEndpoints`
+        const { operationName, typeName } = getOperationNames(method, path)
+        typeNames.push(typeName)
+
+        handlers.push({
+          name: `${operationName}Handler`,
+          code: createMockHandler({
+            openApiDocument,
+            path,
+            method,
+            operation,
+            operationName,
+            typeName,
+          }),
+        })
+      })
+  })
+
+  return [
+    [
+      '/* eslint-disable @typescript-eslint/no-namespace */',
+      '',
+      'import { http, HttpResponse } from "msw"',
+      'import type { JsonBodyType } from "msw"',
+      `import type { ${typeNames.join(', ')} } from "${clientModule}"`,
+    ].join('\n'),
+    `type MockResponse<TSuccess, TError> =
+      | { status?: number, headers?: Record<string, string>, body?: TSuccess }
+      | { status: number, headers?: Record<string, string>, error: TError }`,
+    `type MockResolver<TSuccess, TError> =
+      | MockResponse<TSuccess, TError>
+      | ((request: Request) => MockResponse<TSuccess, TError> | Promise<MockResponse<TSuccess, TError>>)`,
+    `async function createMockResponse<TSuccess, TError>(
+      request: Request,
+      resolver: MockResolver<TSuccess, TError> | undefined,
+      defaultResponse: { status: number, body?: TSuccess },
+      returnType: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'none'
+    ) {
+      const response =
+        typeof resolver === 'function'
+          ? await resolver(request)
+          : { ...defaultResponse, ...resolver }
+      const { status = defaultResponse.status, headers } = response
+      if ('error' in response) {
+        return HttpResponse.json(response.error as JsonBodyType, { status, headers })
+      }
+      if (response.body === undefined || returnType === 'none') {
+        return new HttpResponse(null, { status, headers })
+      }
+      if (returnType === 'json') {
+        return HttpResponse.json(response.body as JsonBodyType, { status, headers })
+      }
+      if (returnType === 'text') {
+        return HttpResponse.text(String(response.body), { status, headers })
+      }
+      return new HttpResponse(response.body as BodyInit, { status, headers })
+    }`,
+    ...handlers.map(({ code }) => code),
+    `export const handlers = [${handlers
+      .map(({ name }) => `${name}()`)
+      .join(', ')}]`,
+  ]
+}
+
+function createMockHandler({
+  openApiDocument,
+  path,
+  method,
+  operation,
+  operationName,
+  typeName,
+}) {
+  const successResponses = Object.entries(
+    operation.responses
+  ).filter(([statusCode]) => statusCode.startsWith('2'))
+  const returnType = getReturnType(
+    successResponses.map(([, response]) => response)
+  )
+  const [statusCode = '200'] = successResponses.map(
+    ([statusCode]) => statusCode
+  )
+  // status code ranges like "2XX" are allowed
+  const status = /^\d+$/.test(statusCode) ? Number(statusCode) : 200
+  const body = getMockResponseBody({
+    openApiDocument,
+    responses: successResponses.map(([, response]) => response),
+    returnType,
+    // derive the seed from the operation, so that mock data is stable
+    random: createRandom(`${method} ${path}`),
+  })
+
+  // path parameters can match any value
+  const url = `*${path.replace(
+    /{(.+?)}/g,
+    (match, name) => `:${name.replace(/\W/g, '_')}`
+  )}`
+  const success = `${typeName}.Response.Success`
+  const error = `${typeName}.Response.Error`
+
+  // the default body is typed, so that it is checked against the response type
+  return `export function ${operationName}Handler(response?: MockResolver<${success}, ${error}>) {${
+    body !== undefined
+      ? `\nconst body: ${success} = ${JSON.stringify(body)}`
+      : ''
+  }
+    return http.${method}(${JSON.stringify(url)}, ({ request }) =>
+      createMockResponse(request, response, { status: ${status}${
+    body !== undefined ? ', body' : ''
+  } }, ${JSON.stringify(returnType)})
+    )
+  }`
+}
+
+function getMockResponseBody({
+  openApiDocument,
+  responses,
+  returnType,
+  random,
+}) {
+  if (returnType !== 'json' && returnType !== 'text') return undefined
+
+  const mediaTypes = responses
+    .map((response) => Object.entries(resolveRef(response).content || {}))
+    .flat()
+    .filter(
+      ([mediaType]) => getReturnTypeForMediaType(mediaType) === returnType
+    )
+  if (mediaTypes.length === 0) return undefined
+
+  const [[, mediaType]] = mediaTypes
+  if (mediaType.example !== undefined) return mediaType.example
+  if (mediaType.examples) {
+    const [example] = Object.values(mediaType.examples)
+    if (example !== undefined) {
+      const { value } = resolveExample(openApiDocument, example)
+      if (value !== undefined) return value
+    }
+  }
+  if (returnType === 'text') {
+    return createMockString(mediaType.schema || {}, random)
+  }
+  return createMockData(mediaType.schema || {}, random)
+}
+
+function resolveExample(openApiDocument, exampleOrRef) {
+  if (!isRef(exampleOrRef)) return exampleOrRef
+  const prefix = '#/components/examples/'
+  const { $ref: ref } = exampleOrRef
+  const { examples = {} } = openApiDocument.components || {}
+  const example = ref.startsWith(prefix)
+    ? examples[ref.slice(prefix.length)]
+    : undefined
+  if (example === undefined) {
+    throw new Error(`Unknown $ref ${ref}.`)
+  }
+  return resolveExample(openApiDocument, example)
+}
+
+/**
+ * creates deterministic data for a schema. response data never includes
+ * `writeOnly` properties.
+ */
+function createMockData(schemaOrRef, random, refs = []) {
+  if (isRef(schemaOrRef)) {
+    const { $ref: ref } = schemaOrRef
+    // stop at recursive schemas
+    if (refs.includes(ref)) return undefined
+    const schema = resolveRef(schemaOrRef)
+    // a discriminator base schema stands for one of the schemas extending it
+    if (isDiscriminatorBaseSchema(schema)) {
+      const [targetRef] = getDiscriminatorTargetRefs(schema.discriminator, ref)
+      if (targetRef !== undefined && targetRef !== ref) {
+        return createMockData({ $ref: targetRef }, random, refs.concat(ref))
+      }
+    }
+    return createMockSchemaData(schema, random, refs.concat(ref), ref)
+  }
+  return createMockSchemaData(schemaOrRef, random, refs)
+}
+
+function createMockSchemaData(schema, random, refs, ref) {
+  if (schema.example !== undefined && isAllowedValue(schema, schema.example)) {
+    return schema.example
+  }
+  if (schema.default !== undefined && isAllowedValue(schema, schema.default)) {
+    return schema.default
+  }
+  if (schema.enum) return pick(schema.enum, random)
+
+  if (schema.allOf) {
+    const data = {}
+    schema.allOf.forEach((schemaOrRef) => {
+      if (isRef(schemaOrRef) && isDiscriminatorBaseSchema(schemaOrRef)) {
+        // use the base schema properties, tagged with the discriminator value
+        const baseSchema = resolveRef(schemaOrRef)
+        Object.assign(data, createMockSchemaData(baseSchema, random, refs))
+        if (ref) {
+          const { propertyName } = baseSchema.discriminator
+          data[propertyName] = getDiscriminatorValues(
+            baseSchema.discriminator,
+            ref
+          )[0]
+        }
+        return
+      }
+      Object.assign(data, createMockData(schemaOrRef, random, refs))
+    })
+    return data
+  }
+  const [option] = schema.oneOf || schema.anyOf || []
+  if (option) {
+    const data = createMockData(option, random, refs)
+    if (schema.discriminator && isRef(option) && isObject(data)) {
+      const { propertyName } = schema.discriminator
+      data[propertyName] = getDiscriminatorValues(
+        schema.discriminator,
+        option.$ref
+      )[0]
+    }
+    return data
+  }
+
+  switch (schema.type) {
+    case 'boolean':
+      return random() < 0.5
+    case 'integer':
+    case 'number':
+      return createMockNumber(schema, random)
+    case 'string':
+      return createMockString(schema, random)
+    case 'array': {
+      // tuples only contain their prefix items
+      if (schema.prefixItems) {
+        return schema.prefixItems.map((item) =>
+          createMockData(item, random, refs)
+        )
+      }
+      const { minItems = 1, maxItems = 2 } = schema
+      const length = Math.max(minItems, Math.min(2, maxItems))
+      return Array.from({ length }, () =>
+        createMockData(schema.items || {}, random, refs)
+      ).filter((item) => item !== undefined)
+    }
+    case 'object':
+      return createMockObject(schema, random, refs)
+    default:
+      if (schema.properties) return createMockObject(schema, random, refs)
+      return null
+  }
+}
+
+function createMockObject(schema, random, refs) {
+  const data = {}
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    if (isExcludedFromTypeVariant(property, 'output')) return
+    const value = createMockData(property, random, refs)
+    if (value !== undefined) {
+      data[name] = value
+    }
+  })
+  const { additionalProperties } = schema
+  if (
+    !schema.properties &&
+    additionalProperties &&
+    typeof additionalProperties === 'object'
+  ) {
+    const value = createMockData(additionalProperties, random, refs)
+    if (value !== undefined) {
+      data[pick(words, random)] = value
+    }
+  }
+  return data
+}
+
+/**
+ * examples and defaults in documents don't always match their schema, e.g.
+ * when the enum was changed later.
+ */
+function isAllowedValue(schema, value) {
+  if (
+    schema.enum &&
+    !schema.enum.some(
+      (option) => JSON.stringify(option) === JSON.stringify(value)
+    )
+  ) {
+    return false
+  }
+  if (typeof schema.pattern === 'string' && typeof value === 'string') {
+    try {
+      return new RegExp(schema.pattern, 'u').test(value)
+    } catch {
+      // patterns can use regular expression syntax which javascript doesn't support
+      return true
+    }
+  }
+  return true
+}
+
+function createMockNumber(schema, random) {
+  const hasMaximum = typeof schema.maximum === 'number'
+  const maximumOffset = schema.exclusiveMaximum === true ? 1 : 0
+  const minimum =
+    typeof schema.minimum === 'number'
+      ? schema.minimum + (schema.exclusiveMinimum === true ? 1 : 0)
+      : hasMaximum
+      ? Math.min(1, schema.maximum - maximumOffset - 100)
+      : 1
+  const maximum = hasMaximum ? schema.maximum - maximumOffset : minimum + 100
+  const value = minimum + random() * (maximum - minimum)
+  if (typeof schema.multipleOf === 'number') {
+    const { multipleOf } = schema
+    const multiple = Math.ceil(value / multipleOf) * multipleOf
+    // rounding up can exceed the maximum
+    return multiple > maximum
+      ? Math.floor(maximum / multipleOf) * multipleOf
+      : multiple
+  }
+  const rounded =
+    schema.type === 'integer' ? Math.round(value) : Number(value.toFixed(2))
+  return Math.min(Math.max(rounded, minimum), maximum)
+}
+
+function createMockString(schema, random) {
+  const word = pick(words, random)
+  const number = Math.floor(random() * 1000)
+  const date = new Date(Date.UTC(2020, 0, 1) + number * 24 * 60 * 60 * 1000)
+
+  switch (schema.format) {
+    case 'date-time':
+      return date.toISOString()
+    case 'date':
+      return date.toISOString().slice(0, 10)
+    case 'email':
+      return `${word}${number}@example.com`
+    case 'uri':
+    case 'url':
+      return `https://example.com/${word}`
+    case 'uuid':
+      return createMockUuid(random)
+    case 'ipv4':
+      return `192.168.${number % 256}.${(number * 7) % 256}`
+    case 'ipv6':
+      return `2001:db8::${number.toString(16)}`
+    case 'byte':
+      return Buffer.from(word).toString('base64')
+    default: {
+      const { minLength = 0, maxLength } = schema
+      const string = `${word}${number}`.padEnd(minLength, word)
+      return maxLength !== undefined ? string.slice(0, maxLength) : string
+    }
+  }
+}
+
+function createMockUuid(random) {
+  const hex = Array.from({ length: 32 }, () =>
+    Math.floor(random() * 16).toString(16)
+  )
+  // version 4, variant 1
+  hex[12] = '4'
+  hex[16] = '8'
+  const string = hex.join('')
+  return [
+    string.slice(0, 8),
+    string.slice(8, 12),
+    string.slice(12, 16),
+    string.slice(16, 20),
+    string.slice(20),
+  ].join('-')
+}
+
+function pick(values, random) {
+  return values[Math.floor(random() * values.length)]
+}
+
+function isObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * creates a seeded pseudo-random number generator (mulberry32).
+ */
+function createRandom(seed) {
+  let state = 0
+  for (let i = 0; i < seed.length; i++) {
+    state = (Math.imul(31, state) + seed.charCodeAt(i)) | 0
+  }
+  return function random() {
+    state = (state + 0x6d2b79f5) | 0
+    let t = Math.imul(state ^ (state >>> 15), 1 | state)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
@@ -0,0 +1,430 @@
+const prettier = require('prettier')
+const {
+  getContext,
+  createTypeIdentifier,
+  createOperationName,
+  capitalize,
+  typeVariants,
+  hasTypeVariant,
+  componentTypeNameSuffixes,
+  HTTP_METHODS,
+} = require('./utils')
+
+/**
+ * words which cannot be used as names of functions or types.
+ */
+const reservedWords = [
+  'arguments',
+  'await',
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'debugger',
+  'default',
+  'delete',
+  'do',
+  'else',
+  'enum',
+  'eval',
+  'export',
+  'extends',
+  'false',
+  'finally',
+  'for',
+  'function',
+  'if',
+  'implements',
+  'import',
+  'in',
+  'instanceof',
+  'interface',
+  'let',
+  'new',
+  'null',
+  'package',
+  'private',
+  'protected',
+  'public',
+  'return',
+  'static',
+  'super',
+  'switch',
+  'this',
+  'throw',
+  'true',
+  'try',
+  'typeof',
+  'var',
+  'void',
+  'while',
+  'with',
+  'yield',
+  // predefined types
+  'any',
+  'bigint',
+  'boolean',
+  'never',
+  'number',
+  'object',
+  'string',
+  'symbol',
+  'undefined',
+  'unknown',
+]
+
+/**
+ * global types used by the generated code, which must not be shadowed.
+ */
+const globalTypes = [
+  'Array',
+  'ArrayBuffer',
+  'Blob',
+  'BodyInit',
+  'File',
+  'FormData',
+  'Omit',
+  'Promise',
+  'Record',
+  'Request',
+  'RequestInit',
+  'Response',
+  'URLSearchParams',
+]
+
+/**
+ * global values used by the generated code, which must not be shadowed.
+ */
+const globalValues = [
+  'Blob',
+  'Error',
+  'FormData',
+  'JSON',
+  'Object',
+  'Promise',
+  'Request',
+  'String',
+  'URL',
+  'URLSearchParams',
+  'btoa',
+  'console',
+  'encodeURI',
+  'encodeURIComponent',
+  'fetch',
+  'globalThis',
+  'process',
+]
+
+const componentDescriptions = {
+  schemas: 'schema',
+  parameters: 'parameter',
+  requestBodies: 'request body',
+  responses: 'response',
+}
+
+/**
+ * name of the namespace which contains the schema types with the `namespace`
+ * collision strategy.
+ */
+const schemasNamespace = 'Schemas'
+
+module.exports = {
+  resolveNames,
+  createUniqueTypeName,
+  createScope,
+  getOperationNames,
+  getDeclaredNames,
+  getDeclarationName,
+  isSchemasNamespaced,
+  schemasNamespace,
+}
+
+/**
+ * names the types of components, and the functions and types of operations,
+ * so that they don't clash with each other, with reserved words, with global
+ * names or with the declarations of the generated helpers (`reservedNames`).
+ *
+ * clashes are resolved by the `collisions` strategy:
+ * - 'suffix' appends a number to the name which is created later
+ * - 'namespace' declares the schema types in the `Schemas` namespace, and
+ *   appends a number to other clashing names
+ * - a rename map, which maps component refs like `#/components/schemas/Pet`
+ *   to type names, and operation ids to other operation ids. remaining
+ *   clashes are errors.
+ *
+ * returns messages which describe the renamed components and operations.
+ */
+function resolveNames({
+  openApiDocument,
+  reservedNames = [],
+  collisions = 'suffix',
+  enums = 'union',
+}) {
+  const isRenameMap = typeof collisions === 'object' && collisions !== null
+  if (!isRenameMap && !['suffix', 'namespace'].includes(collisions)) {
+    throw new Error(
+      `Unknown collisions option "${collisions}". Use "suffix", "namespace" or a rename map.`
+    )
+  }
+  const renameMap = isRenameMap ? collisions : {}
+
+  const context = getContext()
+  const { refMap, moduleScope, operationNames } = context
+  context.collisions = collisions
+  if (isSchemasNamespaced()) {
+    context.schemaScope = new Map()
+  }
+  const { schemaScope } = context
+
+  const scopes =
+    schemaScope === moduleScope ? [moduleScope] : [moduleScope, schemaScope]
+  scopes.forEach((scope) => {
+    reservedWords.forEach((name) =>
+      claimName(scope, name, 'both', 'is a reserved word')
+    )
+    globalTypes.forEach((name) =>
+      claimName(scope, name, 'type', 'is a global type')
+    )
+    globalValues.forEach((name) =>
+      claimName(scope, name, 'value', 'is a global value')
+    )
+  })
+  reservedNames.forEach((name) =>
+    claimName(moduleScope, name, 'both', 'is declared by the generated code')
+  )
+  if (isSchemasNamespaced()) {
+    claimName(
+      moduleScope,
+      schemasNamespace,
+      'both',
+      'is the namespace of the schemas'
+    )
+  }
+
+  const messages = []
+  const errors = []
+  const unknownKeys = new Set(Object.keys(renameMap))
+
+  // names are created with their meaning, and the first name is shown in
+  // messages, e.g. the name of the endpoint function
+  const resolve = ({ description, key, createNames, scope }) => {
+    const rename = renameMap[key]
+    unknownKeys.delete(key)
+    let names = createNames(rename)
+    if (
+      rename !== undefined &&
+      !names.every(({ name }) => /^[A-Za-z_$][\w$]*$/.test(name))
+    ) {
+      throw new Error(
+        `Invalid name "${rename}" for ${description} in rename map.`
+      )
+    }
+
+    const findClash = () =>
+      names.find(({ name, meaning }) => isTaken(scope, name, meaning))
+    const clash = findClash()
+    const owner = clash && scope.get(clash.name).description
+    if (clash && isRenameMap) {
+      errors.push(
+        `Name "${clash.name}" of ${description} ${owner}. Add ${JSON.stringify(
+          key
+        )} to the rename map.`
+      )
+    } else if (clash) {
+      for (let i = 2; findClash(); i++) {
+        names = createNames(rename, i)
+      }
+    }
+    names.forEach(({ name, meaning }) =>
+      claimName(scope, name, meaning, `is used by ${description}`)
+    )
+
+    const [{ name }] = names
+    if (clash && !isRenameMap) {
+      messages.push(
+        `Renamed ${description} to "${name}", because "${clash.name}" ${owner}.`
+      )
+    } else if (rename !== undefined) {
+      messages.push(`Renamed ${description} to "${name}".`)
+    }
+    return names.map(({ name }) => name)
+  }
+
+  const { components = {} } = openApiDocument
+  Object.entries(componentTypeNameSuffixes).forEach(([key, suffix]) => {
+    Object.entries(components[key] || {}).forEach(([name, component]) => {
+      const ref = `#/components/${key}/${name}`
+      const isNamespaced = key === 'schemas' && isSchemasNamespaced()
+      // enums can also be created as values, see `createEnum`
+      const meaning =
+        key === 'schemas' && enums !== 'union' && component.enum
+          ? 'both'
+          : 'type'
+      const variantSuffixes = Object.entries(typeVariants)
+        .filter(([variant]) => hasTypeVariant({ $ref: ref }, variant))
+        .map(([, { suffix }]) => suffix)
+      const [typeName] = resolve({
+        description: `${componentDescriptions[key]} "${name}"`,
+        key: ref,
+        // type variants are named after the type, e.g. `PetInput`
+        createNames: (rename, number = '') => {
+          const typeName = `${
+            rename || createTypeIdentifier(name, suffix)
+          }${number}`
+          return [
+            { name: typeName, meaning },
+            ...variantSuffixes.map((suffix) => ({
+              name: typeName + suffix,
+              meaning: 'type',
+            })),
+          ]
+        },
+        scope: isNamespaced ? schemaScope : moduleScope,
+      })
+      refMap.set(
+        ref,
+        isNamespaced ? `${schemasNamespace}.${typeName}` : typeName
+      )
+    })
+  })
+
+  Object.entries(openApiDocument.paths || {}).forEach(([path, operations]) => {
+    Object.entries(operations)
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .forEach(([method, operation]) => {
+        // see `createEndpoints`
+        const opName = operation.operationId || `${method}${path}`
+        const [operationName, typeName] = resolve({
+          description: `operation "${opName}"`,
+          key: opName,
+          // the endpoint function, the namespace of its types, and its hook
+          createNames: (rename, number = '') => {
+            const name = `${rename || opName}${number}`
+            const operationName = createOperationName(name)
+            return [
+              { name: operationName, meaning: 'value' },
+              { name: createTypeIdentifier(name), meaning: 'both' },
+              { name: `use${capitalize(operationName)}`, meaning: 'value' },
+            ]
+          },
+          scope: moduleScope,
+        })
+        operationNames.set(`${method} ${path}`, { operationName, typeName })
+      })
+  })
+
+  if (unknownKeys.size !== 0) {
+    throw new Error(
+      `Unknown ${Array.from(unknownKeys)
+        .map((key) => JSON.stringify(key))
+        .join(', ')} in rename map.`
+    )
+  }
+  if (errors.length !== 0) {
+    throw new Error(errors.join('\n'))
+  }
+  return messages
+}
+
+/**
+ * names can be used for types, for values or for both, e.g. by classes and
+ * namespaces. types don't shadow values with the same name, and vice versa.
+ */
+function isTaken(scope, name, meaning) {
+  const entry = scope.get(name)
+  return (
+    entry !== undefined &&
+    (entry.meaning === 'both' ||
+      meaning === 'both' ||
+      entry.meaning === meaning)
+  )
+}
+
+function claimName(scope, name, meaning, description) {
+  const entry = scope.get(name)
+  scope.set(
+    name,
+    entry
+      ? {
+          meaning: entry.meaning === meaning ? meaning : 'both',
+          description: entry.description,
+        }
+      : { meaning, description }
+  )
+}
+
+/**
+ * creates a scope with the given names, e.g. for the types in a namespace.
+ */
+function createScope(names, description) {
+  const scope = new Map()
+  names.forEach((name) => claimName(scope, name, 'both', description))
+  return scope
+}
+
+/**
+ * creates a type name which isn't taken in the module scope by appending a
+ * number. names can also be unique within a namespace.
+ */
+function createUniqueTypeName(baseName, scope) {
+  const { moduleScope } = getContext()
+  const typeNames = scope || moduleScope
+  let typeName = baseName
+  for (let i = 2; typeNames.has(typeName) || moduleScope.has(typeName); i++) {
+    typeName = `${baseName}${i}`
+  }
+  claimName(typeNames, typeName, 'type', 'is used by an inline type')
+  return typeName
+}
+
+function getOperationNames(method, path) {
+  return getContext().operationNames.get(`${method} ${path}`)
+}
+
+function isSchemasNamespaced() {
+  return getContext().collisions === 'namespace'
+}
+
+/**
+ * returns the name used to declare a type, which is referenced with the
+ * namespace, e.g. `Pet` for `Schemas.Pet`.
+ */
+function getDeclarationName(typeName) {
+  return typeName.slice(typeName.lastIndexOf('.') + 1)
+}
+
+/**
+ * returns the names of the imports and top-level declarations in the code.
+ */
+function getDeclaredNames(code) {
+  // after formatting, only top-level statements start at the beginning of a line
+  const formattedCode = prettier.format(code, { parser: 'typescript' })
+  const names = []
+
+  const declarations = formattedCode.matchAll(
+    /^(?:export\s+)?(?:declare\s+)?(?:default\s+)?(?:async\s+)?(?:abstract\s+)?(?:function\*?|class|const|let|var|type|interface|enum|namespace)\s+([A-Za-z_$][\w$]*)/gm
+  )
+  for (const [, name] of declarations) {
+    names.push(name)
+  }
+
+  const imports = formattedCode.matchAll(
+    /^import\s+(?:type\s+)?([\w$*{},\s]+?)\s+from\s/gm
+  )
+  for (const [, clause] of imports) {
+    // e.g. `a, { b, c as d, type e }` or `* as f`
+    clause
+      .replace(/[{}]/g, ',')
+      .split(',')
+      .map((specifier) => specifier.trim())
+      .filter(Boolean)
+      .forEach((specifier) => {
+        const parts = specifier.split(/\s+/)
+        names.push(parts[parts.length - 1])
+      })
+  }
+
+  return Array.from(new Set(names))
+}
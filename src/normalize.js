@@ -0,0 +1,288 @@
+/**
+ * keywords which document a schema without constraining its values. they
+ * are kept next to a `$ref`, e.g. to document a property.
+ */
+const annotationKeywords = [
+  'title',
+  'summary',
+  'description',
+  'deprecated',
+  'readOnly',
+  'writeOnly',
+  'default',
+  'example',
+  'examples',
+  'externalDocs',
+  'xml',
+  '$comment',
+]
+
+/**
+ * keywords which contain a schema, a list of schemas or a map of schemas.
+ */
+const schemaKeywords = [
+  'items',
+  'additionalProperties',
+  'not',
+  'if',
+  'then',
+  'else',
+  'contains',
+  'propertyNames',
+  'unevaluatedItems',
+  'unevaluatedProperties',
+]
+const schemaListKeywords = ['allOf', 'anyOf', 'oneOf', 'prefixItems']
+const schemaMapKeywords = [
+  'properties',
+  'patternProperties',
+  '$defs',
+  'dependentSchemas',
+]
+
+module.exports = {
+  normalizeDocument,
+}
+
+/**
+ * converts the schemas of openapi 3.1 documents, which are json schema
+ * 2020-12 schemas, to the openapi 3.0 dialect which types, validators and
+ * mocks are created from:
+ * - type arrays become `nullable` schemas, or unions of the types
+ * - `const` becomes an enum with a single value
+ * - keywords next to a `$ref` become an intersection with the referenced schema
+ * - numeric `exclusiveMinimum` and `exclusiveMaximum` become booleans
+ * - `$defs` of component schemas become component schemas
+ *
+ * tuples (`prefixItems`) are kept, because openapi 3.0 cannot describe them.
+ */
+function normalizeDocument({ openApiDocument }) {
+  if (
+    typeof openApiDocument.openapi !== 'string' ||
+    !openApiDocument.openapi.startsWith('3.1')
+  ) {
+    return openApiDocument
+  }
+
+  const { components = {} } = openApiDocument
+  if (!components.schemas) {
+    return normalizeNode(openApiDocument, new Map())
+  }
+  const { schemas, refs } = hoistDefinitions(components.schemas)
+  return normalizeNode(
+    { ...openApiDocument, components: { ...components, schemas } },
+    refs
+  )
+}
+
+/**
+ * adds the `$defs` of component schemas to the components, e.g.
+ * `#/components/schemas/Pet/$defs/Tag` becomes `#/components/schemas/Pet.Tag`.
+ * returns the schemas, and a map of the old to the new references.
+ */
+function hoistDefinitions(componentSchemas) {
+  const schemas = {}
+  const refs = new Map()
+  const names = new Set(Object.keys(componentSchemas))
+
+  const hoist = (name, schema, ref) => {
+    if (!isPlainObject(schema) || !schema.$defs) {
+      schemas[name] = schema
+      return
+    }
+    const { $defs, ...rest } = schema
+    schemas[name] = rest
+    Object.entries($defs).forEach(([definitionName, definition]) => {
+      const baseName = `${name}.${definitionName}`
+      let hoistedName = baseName
+      for (let i = 2; names.has(hoistedName); i++) {
+        hoistedName = `${baseName}${i}`
+      }
+      names.add(hoistedName)
+      const definitionRef = `${ref}/$defs/${definitionName}`
+      refs.set(definitionRef, `#/components/schemas/${hoistedName}`)
+      // definitions can have definitions themselves
+      hoist(hoistedName, definition, definitionRef)
+    })
+  }
+  Object.entries(componentSchemas).forEach(([name, schema]) =>
+    hoist(name, schema, `#/components/schemas/${name}`)
+  )
+
+  return { schemas, refs }
+}
+
+function normalizeNode(node, refs, keys = []) {
+  if (Array.isArray(node)) {
+    return node.map((value, index) =>
+      normalizeNode(value, refs, [...keys, String(index)])
+    )
+  }
+  if (!isPlainObject(node)) return node
+
+  const normalized = {}
+  Object.entries(node).forEach(([key, value]) => {
+    const isComponentSchema =
+      keys.length === 2 && keys[0] === 'components' && keys[1] === 'schemas'
+    if (key === 'schema' || isComponentSchema) {
+      normalized[key] = normalizeSchema(value, refs)
+    } else if (key === 'example' || key === 'examples') {
+      // examples can contain anything, including keys like "schema"
+      normalized[key] = value
+    } else {
+      normalized[key] = normalizeNode(value, refs, [...keys, key])
+    }
+  })
+  return normalized
+}
+
+function normalizeSchema(schema, refs) {
+  // the boolean schema `true` allows any value, like an empty schema
+  if (schema === true) return {}
+  if (!isPlainObject(schema)) return schema
+
+  const normalized = {}
+  Object.entries(schema).forEach(([key, value]) => {
+    if (schemaKeywords.includes(key)) {
+      normalized[key] = normalizeSchema(value, refs)
+    } else if (schemaListKeywords.includes(key) && Array.isArray(value)) {
+      normalized[key] = value.map((subSchema) =>
+        normalizeSchema(subSchema, refs)
+      )
+    } else if (schemaMapKeywords.includes(key) && isPlainObject(value)) {
+      normalized[key] = {}
+      Object.entries(value).forEach(([name, subSchema]) => {
+        normalized[key][name] = normalizeSchema(subSchema, refs)
+      })
+    } else {
+      normalized[key] = value
+    }
+  })
+  return convertSchema(normalized, refs)
+}
+
+function convertSchema(schema, refs) {
+  const converted = { ...schema }
+
+  if (Array.isArray(converted.examples) && converted.example === undefined) {
+    converted.example = converted.examples[0]
+  }
+
+  if (typeof converted.$ref === 'string') {
+    const { $ref: ref, ...siblings } = converted
+    const $ref = refs.get(ref) || ref
+    const annotations = pickKeywords(siblings, annotationKeywords)
+    const constraints = omitKeywords(siblings, annotationKeywords)
+    if (Object.keys(constraints).length === 0) {
+      return { $ref, ...annotations }
+    }
+    // in openapi 3.0, keywords next to `$ref` are ignored
+    return {
+      ...annotations,
+      allOf: [{ $ref }, convertSchema(constraints, refs)],
+    }
+  }
+
+  if (converted.const !== undefined && converted.enum === undefined) {
+    converted.enum = [converted.const]
+  }
+  delete converted.const
+
+  // in openapi 3.0, `exclusiveMinimum` and `exclusiveMaximum` are booleans
+  if (typeof converted.exclusiveMinimum === 'number') {
+    if (
+      typeof converted.minimum !== 'number' ||
+      converted.exclusiveMinimum >= converted.minimum
+    ) {
+      converted.minimum = converted.exclusiveMinimum
+      converted.exclusiveMinimum = true
+    } else {
+      delete converted.exclusiveMinimum
+    }
+  }
+  if (typeof converted.exclusiveMaximum === 'number') {
+    if (
+      typeof converted.maximum !== 'number' ||
+      converted.exclusiveMaximum <= converted.maximum
+    ) {
+      converted.maximum = converted.exclusiveMaximum
+      converted.exclusiveMaximum = true
+    } else {
+      delete converted.exclusiveMaximum
+    }
+  }
+
+  // binary strings are described by their content instead of a format
+  const types = [].concat(converted.type || [])
+  if (types.includes('string') && converted.format === undefined) {
+    if (converted.contentEncoding === 'base64') {
+      converted.format = 'byte'
+    } else if (
+      typeof converted.contentMediaType === 'string' &&
+      converted.contentEncoding === undefined &&
+      !/^text\/|[/+](json|xml)$/i.test(converted.contentMediaType)
+    ) {
+      converted.format = 'binary'
+    }
+  }
+
+  // pattern properties are typed like additional properties, which are
+  // allowed anyway when `additionalProperties` is missing
+  const { patternProperties, additionalProperties } = converted
+  if (
+    isPlainObject(patternProperties) &&
+    (additionalProperties === false || isPlainObject(additionalProperties))
+  ) {
+    const valueSchemas = Object.values(patternProperties)
+    if (isPlainObject(additionalProperties)) {
+      valueSchemas.push(additionalProperties)
+    }
+    converted.additionalProperties =
+      valueSchemas.length === 1 ? valueSchemas[0] : { anyOf: valueSchemas }
+  }
+
+  if (converted.type === 'null' || Array.isArray(converted.type)) {
+    const nullable = types.includes('null')
+    const otherTypes = types.filter((type) => type !== 'null')
+    delete converted.type
+
+    // enum values don't depend on the type, see `createEnumType`
+    if (converted.enum || otherTypes.length === 0) {
+      return converted.enum
+        ? { ...converted, ...(nullable && { nullable }) }
+        : { ...converted, enum: [null] }
+    }
+    if (otherTypes.length === 1) {
+      return {
+        ...converted,
+        type: otherTypes[0],
+        ...(nullable && { nullable }),
+      }
+    }
+    return {
+      ...pickKeywords(converted, annotationKeywords),
+      anyOf: [
+        ...otherTypes.map((type) => ({ ...converted, type })),
+        ...(nullable ? [{ enum: [null] }] : []),
+      ],
+    }
+  }
+
+  return converted
+}
+
+function pickKeywords(schema, keywords) {
+  return Object.fromEntries(
+    Object.entries(schema).filter(([key]) => keywords.includes(key))
+  )
+}
+
+function omitKeywords(schema, keywords) {
+  return Object.fromEntries(
+    Object.entries(schema).filter(([key]) => !keywords.includes(key))
+  )
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
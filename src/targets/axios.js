@@ -0,0 +1,121 @@
+const { createRequestHelpers, createEndpointFunction } = require('../client')
+
+module.exports = {
+  createImports,
+  createRequestFunction,
+  createEndpoint,
+}
+
+function createImports() {
+  return [
+    '/* eslint-disable @typescript-eslint/no-namespace */',
+    '',
+    'import axios from "axios"',
+    'import type { AxiosRequestConfig, AxiosResponse, Method } from "axios"',
+  ].join('\n')
+}
+
+function createRequestFunction({ openApiDocument, baseUrl, validation }) {
+  return [
+    createRequestHelpers({ openApiDocument, baseUrl, validation }),
+    `export class HttpError extends Error {
+      response: AxiosResponse
+      statusCode: number
+
+      constructor(response: AxiosResponse, message?: string) {
+        super((message ?? response.statusText) || 'Unexpected HTTP error.')
+        this.name = 'HttpError'
+        this.response = response
+        this.statusCode = response.status
+      }
+    }`,
+    `type RequestOptions<T> = {
+      hooks?: {
+        request?: ((config: AxiosRequestConfig) => AxiosRequestConfig)
+        response?: ((response: AxiosResponse) => Promise<T>)
+      }
+      token?: string
+    }
+    export async function request<T = unknown>({
+      path,
+      baseUrl,
+      baseUrlVariables,
+      query,
+      querySerialization,
+      headers = {},
+      headerSerialization = {},
+      cookies = {},
+      security = [],
+      options = {},
+      hooks = {},
+      token,
+      returnType = 'json',
+      ${validation ? 'schema,' : ''}
+    }: {
+      path: string
+      baseUrl?: string
+      baseUrlVariables?: Record<string, string>
+      query?: Record<string, unknown>
+      querySerialization?: Record<string, ParameterSerialization>
+      headers?: Record<string, unknown>
+      headerSerialization?: Record<string, ParameterSerialization>
+      cookies?: Record<string, unknown>
+      security?: SecurityRequirements
+      options?: { method?: string, body?: unknown, headers?: Record<string, string> }
+      hooks?: RequestOptions<T>['hooks']
+      token?: RequestOptions<T>['token']
+      returnType?: 'json' | 'text' | 'blob' | 'arrayBuffer' | 'none'
+      ${validation ? 'schema?: z.ZodTypeAny' : ''}
+    }): Promise<T> {
+      const auth = await getAuthParameters(security)
+      // the base url can contain server variables, like the default base url
+      const url = createUrl(
+        path,
+        baseUrl && resolveServerUrl(baseUrl, baseUrlVariables),
+        { ...query, ...auth.query },
+        querySerialization
+      )
+      const requestHeaders: Record<string, string> = { ...options.headers }
+      Object.entries({ ...headers, ...auth.headers }).forEach(([key, value]) => {
+        if (value != null) {
+          requestHeaders[key] = serializeSimpleValue(value, headerSerialization[key]?.explode)
+        }
+      })
+      // browsers don't allow setting the cookie header, and will send the cookies they know about instead
+      const cookie = createCookieHeader({ ...cookies, ...auth.cookies })
+      if (cookie.length > 0) {
+        requestHeaders['Cookie'] = cookie
+      }
+      const config: AxiosRequestConfig = {
+        url,
+        method: options.method as Method,
+        data: options.body,
+        headers: requestHeaders,
+        responseType: returnType === 'arrayBuffer' ? 'arraybuffer' : returnType === 'none' ? 'text' : returnType,
+        // non-2xx responses are handled below, like with the fetch client
+        validateStatus: () => true,
+      }
+      const request = typeof hooks.request === 'function' ? hooks.request(config) : config
+      if (token !== undefined && token.length > 0) {
+        request.headers = { ...request.headers, Authorization: token }
+      }
+      const response = await axios.request(request)
+      if (response.status < 200 || response.status >= 300) {
+        throw new HttpError(response, getErrorMessage(response.data))
+      }
+      if (typeof hooks.response === 'function') return hooks.response(response)
+      if (returnType === 'none' || response.status === 204) {
+        return undefined as unknown as T
+      }
+      ${
+        validation
+          ? `return schema !== undefined ? validateResponse(response.data as T, schema) : response.data as T`
+          : 'return response.data as T'
+      }
+    }`,
+  ].join('\n\n')
+}
+
+function createEndpoint(endpoint) {
+  return createEndpointFunction({ ...endpoint, useArgumentsArray: false })
+}
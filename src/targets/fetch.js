@@ -0,0 +1,15 @@
+const { createRequestFunction, createEndpointFunction } = require('../client')
+
+module.exports = {
+  createImports,
+  createRequestFunction,
+  createEndpoint,
+}
+
+function createImports() {
+  return '/* eslint-disable @typescript-eslint/no-namespace */'
+}
+
+function createEndpoint(endpoint) {
+  return createEndpointFunction({ ...endpoint, useArgumentsArray: false })
+}
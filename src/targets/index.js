@@ -0,0 +1,29 @@
+const { createTanstackQueryTarget } = require('./tanstack-query')
+
+const targets = {
+  'react-query': require('../client'),
+  fetch: require('./fetch'),
+  axios: require('./axios'),
+  swr: require('./swr'),
+  'tanstack-react-query': createTanstackQueryTarget('react'),
+  'tanstack-vue-query': createTanstackQueryTarget('vue'),
+  'tanstack-svelte-query': createTanstackQueryTarget('svelte'),
+  'tanstack-solid-query': createTanstackQueryTarget('solid'),
+}
+
+module.exports = {
+  targets,
+  getTarget,
+}
+
+function getTarget(name) {
+  const target = targets[name]
+  if (target === undefined) {
+    throw new Error(
+      `Unknown target "${name}". Available targets: ${Object.keys(targets).join(
+        ', '
+      )}.`
+    )
+  }
+  return target
+}
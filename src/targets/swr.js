@@ -0,0 +1,78 @@
+const {
+  createRequestFunction,
+  createEndpointFunction,
+  getEndpointParameters,
+  isQueryEndpoint,
+} = require('../client')
+const { capitalize } = require('../utils')
+
+module.exports = {
+  createImports,
+  createRequestFunction,
+  createEndpoint,
+}
+
+function createImports() {
+  return [
+    '/* eslint-disable @typescript-eslint/no-namespace */',
+    '',
+    'import useSWR from "swr"',
+    'import type { SWRConfiguration, SWRResponse } from "swr"',
+    'import useSWRMutation from "swr/mutation"',
+    'import type { SWRMutationConfiguration, SWRMutationResponse } from "swr/mutation"',
+  ].join('\n')
+}
+
+function createEndpoint(endpoint) {
+  return [createEndpointFunction(endpoint), createSwrHook(endpoint)].join(
+    '\n\n'
+  )
+}
+
+function createSwrHook({
+  operationName,
+  method,
+  parameters,
+  hasRequestBody,
+  typeName,
+  comment,
+}) {
+  const { params, paramTypes, queryKeyParams } = getEndpointParameters({
+    parameters,
+    hasRequestBody,
+    typeName,
+  })
+  const success = `${typeName}.Response.Success`
+  const error = `${typeName}.Response.Error`
+  const docs = comment ? `${comment}\n` : ''
+
+  if (isQueryEndpoint(method)) {
+    const hookParams = params.concat(
+      `options?: SWRConfiguration<${success}, ${error}>`,
+      `requestOptions?: RequestOptions<${success}>`
+    )
+    const key = [JSON.stringify(operationName)].concat(queryKeyParams)
+
+    return `${docs}export function use${capitalize(
+      operationName
+    )}(${hookParams.join(', ')}): SWRResponse<${success}, ${error}> {
+      return useSWR([${key.join(
+        ', '
+      )}], () => ${operationName}(${queryKeyParams
+      .concat('requestOptions')
+      .join(', ')}), options)
+    }`
+  }
+
+  // swr passes a single argument to the mutation function, so the endpoint function
+  // accepts its arguments as an array
+  const args = `[${paramTypes.concat(`RequestOptions<${success}>`).join(', ')}]`
+
+  return `${docs}export function use${capitalize(
+    operationName
+  )}(options?: SWRMutationConfiguration<${success}, ${error}, string, ${args}>): SWRMutationResponse<${success}, ${error}, string, ${args}> {
+    return useSWRMutation(${JSON.stringify(
+      operationName
+    )}, (_key: string, { arg }: { arg: ${args} }) => ${operationName}(arg), options)
+  }`
+}
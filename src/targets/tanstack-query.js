@@ -0,0 +1,146 @@
+const {
+  createRequestFunction,
+  createEndpointFunction,
+  getEndpointParameters,
+  isQueryEndpoint,
+} = require('../client')
+const { capitalize } = require('../utils')
+
+const adapters = {
+  react: {
+    packageName: '@tanstack/react-query',
+    query: 'useQuery',
+    mutation: 'useMutation',
+    queryResult: 'UseQueryResult',
+    mutationResult: 'UseMutationResult',
+    // react-query v4 infers the query key type from the options, like vue-query
+    queryKeyType: 'QueryKey',
+    imports: ['import type { QueryKey } from "@tanstack/react-query"'],
+  },
+  vue: {
+    packageName: '@tanstack/vue-query',
+    query: 'useQuery',
+    mutation: 'useMutation',
+    queryResult: 'UseQueryReturnType',
+    mutationResult: 'UseMutationReturnType',
+    // vue-query allows `enabled` to be a ref or getter, but not a function of the query
+    queryOptions: {
+      omit: ['enabled'],
+      extend: '{ enabled?: MaybeRefOrGetter<boolean | undefined> }',
+    },
+    // vue-query infers the query key type from the options, which would not match the shared options type
+    queryKeyType: 'QueryKey',
+    imports: [
+      'import type { QueryKey } from "@tanstack/vue-query"',
+      'import type { MaybeRefOrGetter } from "vue"',
+    ],
+  },
+  svelte: {
+    packageName: '@tanstack/svelte-query',
+    query: 'createQuery',
+    mutation: 'createMutation',
+    queryResult: 'CreateQueryResult',
+    mutationResult: 'CreateMutationResult',
+  },
+  solid: {
+    packageName: '@tanstack/solid-query',
+    query: 'createQuery',
+    mutation: 'createMutation',
+    queryResult: 'CreateQueryResult',
+    mutationResult: 'CreateMutationResult',
+    // solid-query overloads on whether `initialData` is defined, which doesn't work with spreading optional options
+    queryOptions: { omit: ['initialData'] },
+    // solid-query expects options to be passed as accessor function
+    accessor: true,
+  },
+}
+
+module.exports = {
+  createTanstackQueryTarget,
+}
+
+function createTanstackQueryTarget(framework) {
+  const adapter = adapters[framework]
+
+  return {
+    createImports() {
+      return [
+        '/* eslint-disable @typescript-eslint/no-namespace */',
+        '',
+        `import { ${adapter.mutation}, ${adapter.query} } from "${adapter.packageName}"`,
+        `import type { ${adapter.mutationResult}, MutationObserverOptions, ${adapter.queryResult}, QueryObserverOptions } from "${adapter.packageName}"`,
+        ...(adapter.imports || []),
+      ].join('\n')
+    },
+    createRequestFunction,
+    createEndpoint(endpoint) {
+      return [
+        createEndpointFunction(endpoint),
+        createTanstackQueryHook(endpoint, adapter),
+      ].join('\n\n')
+    },
+  }
+}
+
+function createTanstackQueryHook(
+  { operationName, method, parameters, hasRequestBody, typeName, comment },
+  adapter
+) {
+  const { params, paramTypes, queryKeyParams } = getEndpointParameters({
+    parameters,
+    hasRequestBody,
+    typeName,
+  })
+  const success = `${typeName}.Response.Success`
+  const error = `${typeName}.Response.Error`
+  const docs = comment ? `${comment}\n` : ''
+  const withOptions = (options) =>
+    adapter.accessor ? `() => (${options})` : options
+
+  if (isQueryEndpoint(method)) {
+    const { omit = [], extend } = adapter.queryOptions || {}
+    const omittedOptions = ['queryKey', 'queryFn']
+      .concat(omit)
+      .map((key) => `'${key}'`)
+      .join(' | ')
+    const hookParams = params.concat(
+      `options?: Omit<QueryObserverOptions<${success}, ${error}>, ${omittedOptions}>${
+        extend ? ` & ${extend}` : ''
+      }`,
+      `requestOptions?: RequestOptions<${success}>`
+    )
+    const key = [JSON.stringify(operationName)].concat(queryKeyParams)
+
+    return `${docs}export function use${capitalize(
+      operationName
+    )}(${hookParams.join(', ')}): ${adapter.queryResult}<${success}, ${error}> {
+      return ${adapter.query}(${withOptions(`{
+        queryKey: [${key.join(', ')}]${
+      adapter.queryKeyType ? ` as ${adapter.queryKeyType}` : ''
+    },
+        queryFn: () => ${operationName}(${queryKeyParams
+      .concat('requestOptions')
+      .join(', ')}),
+        ...options,
+      }`)})
+    }`
+  }
+
+  // mutation functions only receive a single argument, so the endpoint function
+  // accepts its arguments as an array
+  const variables = `[${paramTypes
+    .concat(`RequestOptions<${success}>`)
+    .join(', ')}]`
+  const typeParams = `${success}, ${error}, ${variables}, unknown`
+
+  return `${docs}export function use${capitalize(
+    operationName
+  )}(options?: Omit<MutationObserverOptions<${typeParams}>, 'mutationFn'>): ${
+    adapter.mutationResult
+  }<${typeParams}> {
+    return ${adapter.mutation}(${withOptions(`{
+      mutationFn: ${operationName},
+      ...options,
+    }`)})
+  }`
+}
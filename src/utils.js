@@ -1,19 +1,97 @@
+const { AsyncLocalStorage } = require('async_hooks')
 const camelCase = require('lodash.camelcase')
 
-const createdTypeNames = new Set()
-const refMap = new Map()
+/**
+ * the state of processing a document, e.g. the components and the taken
+ * names. every `generate` call runs in its own context, so that several
+ * documents can be processed concurrently, see `runInContext`.
+ */
+const contextStorage = new AsyncLocalStorage()
+
+/**
+ * the methods of the operations which endpoints are created for. other
+ * methods like `head` and `options` are not supported yet.
+ */
+const HTTP_METHODS = ['get', 'delete', 'patch', 'post', 'put']
+
+/**
+ * component schemas which contain `readOnly` or `writeOnly` properties get
+ * separate type variants for request bodies (input) and responses (output).
+ */
+const typeVariants = {
+  input: { suffix: 'Input', excludedKeyword: 'readOnly' },
+  output: { suffix: 'Output', excludedKeyword: 'writeOnly' },
+}
+
+/**
+ * component types are named after the component, e.g. `PetResponse` for
+ * `#/components/responses/Pet`, see `resolveNames`.
+ */
+const componentTypeNameSuffixes = {
+  schemas: '',
+  parameters: 'Parameter',
+  requestBodies: 'RequestBody',
+  responses: 'Response',
+}
 
 module.exports = {
+  HTTP_METHODS,
+  runInContext,
+  getContext,
   isRef,
   buildRefMap,
   getTypeNameFromRef,
-  refMap,
-  createTypeName,
+  resolveRef,
+  getDerivedSchemaRefs,
   createTypeIdentifier,
   toPascalCase,
   createOperationName,
   capitalize,
   getServerUrl,
+  typeVariants,
+  componentTypeNameSuffixes,
+  isDiscriminatorBaseSchema,
+  getDiscriminatorTargetRefs,
+  getDiscriminatorValues,
+  isExcludedFromTypeVariant,
+  hasTypeVariant,
+  getRequestBodySchemas,
+  getResponseSchemas,
+  getParameterSchema,
+  getReturnType,
+  getReturnTypeForMediaType,
+  isIgnoredHeaderParameter,
+  mergeParameters,
+}
+
+function runInContext(callback) {
+  return contextStorage.run(createContext(), callback)
+}
+
+function createContext() {
+  // maps the names in the module scope to their meaning and a description
+  // of what uses them, see `resolveNames`
+  const moduleScope = new Map()
+  return {
+    moduleScope,
+    // schema types can be declared in a namespace, see `resolveNames`
+    schemaScope: moduleScope,
+    collisions: 'suffix',
+    operationNames: new Map(),
+    refMap: new Map(),
+    componentMap: new Map(),
+    derivedSchemaMap: new Map(),
+    typeVariantCache: new Map(),
+    shownWarnings: new Set(),
+  }
+}
+
+function getContext() {
+  const context = contextStorage.getStore()
+  if (!context) {
+    throw new Error('Documents can only be processed with `runInContext`.')
+  }
+  return context
 }
 
 function isRef(schemaOrRef) {
@@ -21,20 +99,34 @@ function isRef(schemaOrRef) {
 }
 
 function buildRefMap({ openApiDocument }) {
+  const { componentMap, derivedSchemaMap } = getContext()
   const { components } = openApiDocument
   if (!components) return
 
   // TODO: examples, headers, securitySchemes, links, callbacks
-  const keys = ['schemas', 'parameters', 'requestBodies', 'responses']
-  keys.forEach((key) => {
-    Object.keys(components[key] || {}).forEach((refName) => {
-      const typeName = createTypeIdentifier(refName)
-      refMap.set(`#/components/${key}/${refName}`, typeName)
+  // the type names of components are created by `resolveNames`
+  Object.keys(componentTypeNameSuffixes).forEach((key) => {
+    Object.entries(components[key] || {}).forEach(([refName, component]) => {
+      componentMap.set(`#/components/${key}/${refName}`, component)
+    })
+  })
+
+  // keep track of schemas which extend other schemas via `allOf`, which is
+  // needed to create discriminated unions from base schemas
+  Object.entries(components.schemas || {}).forEach(([refName, schema]) => {
+    const ref = `#/components/schemas/${refName}`
+    const baseSchemas = (schema.allOf || []).filter(isRef)
+    baseSchemas.forEach(({ $ref: baseRef }) => {
+      if (!derivedSchemaMap.has(baseRef)) {
+        derivedSchemaMap.set(baseRef, [])
+      }
+      derivedSchemaMap.get(baseRef).push(ref)
     })
   })
 }
 
 function getTypeNameFromRef(schema) {
+  const { refMap } = getContext()
   const { $ref: ref } = schema
   if (!refMap.has(ref)) {
     throw new Error(`Unknown $ref ${ref}.`)
@@ -42,13 +134,28 @@ function getTypeNameFromRef(schema) {
   return refMap.get(ref)
 }
 
-function createTypeName(string, suffix) {
-  const typeName = createTypeIdentifier(string, suffix)
-  if (createdTypeNames.has(typeName)) {
-    throw new Error(`Duplicate type name ${typeName} (created from ${string}).`)
+function resolveRef(objectOrRef) {
+  if (!isRef(objectOrRef)) return objectOrRef
+  const { componentMap } = getContext()
+  const refs = []
+  let object = objectOrRef
+  // components can themselves be references to other components
+  while (isRef(object)) {
+    const { $ref: ref } = object
+    if (refs.includes(ref)) {
+      throw new Error(`Circular $ref ${refs.concat(ref).join(' -> ')}.`)
+    }
+    if (!componentMap.has(ref)) {
+      throw new Error(`Unknown $ref ${ref}.`)
+    }
+    refs.push(ref)
+    object = componentMap.get(ref)
   }
-  createdTypeNames.add(typeName)
-  return typeName
+  return object
+}
+
+function getDerivedSchemaRefs(ref) {
+  return getContext().derivedSchemaMap.get(ref) || []
 }
 
 function createTypeIdentifier(string, suffix = '') {
@@ -70,6 +177,169 @@ function capitalize(string) {
 }
 
 function getServerUrl(server) {
-  // TODO: support variable substitution as allowed per spec
-  return server.url
+  const { url, variables = {} } = server
+  return url.replace(/{(.+?)}/g, (match, name) =>
+    variables[name] !== undefined ? variables[name].default : match
+  )
+}
+
+function isDiscriminatorBaseSchema(schemaOrRef) {
+  const schema = resolveRef(schemaOrRef)
+  return Boolean(schema.discriminator && !schema.oneOf && !schema.anyOf)
+}
+
+function getDiscriminatorTargetRefs(discriminator, baseRef) {
+  const mappedRefs = Object.values(discriminator.mapping || {}).map(
+    normalizeDiscriminatorMappingValue
+  )
+  return Array.from(new Set([...getDerivedSchemaRefs(baseRef), ...mappedRefs]))
+}
+
+function getDiscriminatorValues(discriminator, ref) {
+  const values = Object.entries(discriminator.mapping || {})
+    .filter(([, value]) => normalizeDiscriminatorMappingValue(value) === ref)
+    .map(([key]) => key)
+  if (values.length !== 0) return values
+  // without explicit mapping, the schema name is used as discriminator value
+  return [ref.slice(ref.lastIndexOf('/') + 1)]
+}
+
+function normalizeDiscriminatorMappingValue(value) {
+  // mapping values can either be schema names or references
+  return value.includes('/') ? value : `#/components/schemas/${value}`
+}
+
+function isExcludedFromTypeVariant(schemaOrRef, variant) {
+  if (!variant) return false
+  const { excludedKeyword } = typeVariants[variant]
+  // in openapi 3.1, references can be read-only or write-only themselves
+  return (
+    schemaOrRef[excludedKeyword] === true ||
+    resolveRef(schemaOrRef)[excludedKeyword] === true
+  )
+}
+
+function hasTypeVariant(schemaOrRef, variant) {
+  // only component schemas have type variants
+  if (!variant || !schemaOrRef.$ref.startsWith('#/components/schemas/')) {
+    return false
+  }
+  const { typeVariantCache } = getContext()
+  const key = `${variant}:${schemaOrRef.$ref}`
+  if (!typeVariantCache.has(key)) {
+    typeVariantCache.set(key, containsExcludedProperties(schemaOrRef, variant))
+  }
+  return typeVariantCache.get(key)
+}
+
+function containsExcludedProperties(schemaOrRef, variant, seen = new Set()) {
+  // `additionalProperties` can be a boolean
+  if (schemaOrRef == null || typeof schemaOrRef !== 'object') return false
+
+  if (isRef(schemaOrRef)) {
+    const { $ref: ref } = schemaOrRef
+    if (seen.has(ref)) return false
+    seen.add(ref)
+    const schema = resolveRef(schemaOrRef)
+    // the type of a discriminator base schema is the union of derived schemas
+    const targetRefs = isDiscriminatorBaseSchema(schema)
+      ? getDiscriminatorTargetRefs(schema.discriminator, ref)
+      : []
+    return (
+      containsExcludedProperties(schema, variant, seen) ||
+      targetRefs.some((targetRef) =>
+        containsExcludedProperties({ $ref: targetRef }, variant, seen)
+      )
+    )
+  }
+
+  const schema = schemaOrRef
+  const properties = Object.values(schema.properties || {})
+  if (
+    properties.some((property) => isExcludedFromTypeVariant(property, variant))
+  ) {
+    return true
+  }
+  return [
+    ...properties,
+    ...(schema.allOf || []),
+    ...(schema.anyOf || []),
+    ...(schema.oneOf || []),
+    ...(schema.prefixItems || []),
+    schema.items,
+    schema.additionalProperties,
+  ].some((subSchema) => containsExcludedProperties(subSchema, variant, seen))
+}
+
+function getRequestBodySchemas(maybeSchema) {
+  // TODO: can we assume this is valid, e.g. { $ref: "" } when !content
+  if (!maybeSchema.content) return [maybeSchema]
+  return Object.values(maybeSchema.content).map(({ schema }) => schema)
+}
+
+function getResponseSchemas(response) {
+  // media types without schema allow any content
+  return Object.values(response.content).map(({ schema = {} }) => schema)
+}
+
+function getParameterSchema(parameter) {
+  if (parameter.schema) return parameter.schema
+  // alternatively, a parameter can define its schema for a single media type
+  if (parameter.content) {
+    const [{ schema } = {}] = Object.values(parameter.content)
+    if (schema) return schema
+  }
+  return {}
+}
+
+function getReturnType(responses) {
+  const returnTypes = responses
+    .map((responseOrRef) =>
+      Object.keys(resolveRef(responseOrRef).content || {})
+    )
+    .flat()
+    .map(getReturnTypeForMediaType)
+  if (returnTypes.length === 0) return 'none'
+  // prefer json when the server can respond with different media types
+  return returnTypes.includes('json') ? 'json' : returnTypes[0]
+}
+
+function getReturnTypeForMediaType(mediaType) {
+  const [type] = mediaType.toLowerCase().split(';')
+  if (type === 'application/json' || type.endsWith('+json')) {
+    return 'json'
+  }
+  if (
+    type.startsWith('text/') ||
+    type === 'application/xml' ||
+    type.endsWith('+xml')
+  ) {
+    return 'text'
+  }
+  // raw bytes without a more specific media type
+  if (type === 'application/octet-stream') {
+    return 'arrayBuffer'
+  }
+  // everything else, e.g. images or documents
+  return 'blob'
+}
+
+function isIgnoredHeaderParameter(parameter) {
+  // these headers are defined by request body, responses and security schemes
+  const ignoredHeaders = ['accept', 'content-type', 'authorization']
+  return (
+    parameter.in === 'header' &&
+    ignoredHeaders.includes(parameter.name.toLowerCase())
+  )
+}
+
+function mergeParameters(pathParameters, operationParameters) {
+  // parameters are unique by name and location, and parameters defined on the
+  // operation override parameters defined on the path item
+  const parameters = new Map()
+  pathParameters.concat(operationParameters).forEach((parameterOrRef) => {
+    const parameter = resolveRef(parameterOrRef)
+    parameters.set(`${parameter.in}:${parameter.name}`, parameterOrRef)
+  })
+  return Array.from(parameters.values())
 }
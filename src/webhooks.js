@@ -0,0 +1,208 @@
+const { HTTP_METHODS, isRef } = require('./utils')
+
+module.exports = {
+  hasWebhooks,
+  getWebhookOperations,
+  createWebhookDispatcher,
+}
+
+function hasWebhooks(openApiDocument) {
+  const { webhooks = {}, paths = {} } = openApiDocument
+  return (
+    Object.keys(webhooks).length !== 0 ||
+    Object.values(paths).some((operations) =>
+      Object.entries(operations).some(
+        ([method, operation]) =>
+          HTTP_METHODS.includes(method) && operation.callbacks
+      )
+    )
+  )
+}
+
+/**
+ * returns the webhook and callback operations of a document. they are
+ * identified by an event name, which is the name of the webhook, or the
+ * operation id (or method and path) of the endpoint and the name of the
+ * callback, e.g. `createSubscription.onEvent`. the
+ * operations of path items with several methods are named with the method,
+ * e.g. `newPet.put`.
+ */
+function getWebhookOperations(openApiDocument) {
+  const webhookOperations = []
+  const events = new Set()
+
+  const addPathItem = (name, pathItemOrRef, expression) => {
+    const pathItem = resolveComponent(openApiDocument, pathItemOrRef)
+    const methods = Object.keys(pathItem).filter((method) =>
+      HTTP_METHODS.includes(method)
+    )
+    methods.forEach((method) => {
+      const baseEvent = methods.length === 1 ? name : `${name}.${method}`
+      // callbacks can have several expressions
+      let event = baseEvent
+      for (let i = 2; events.has(event); i++) {
+        event = `${baseEvent}${i}`
+      }
+      events.add(event)
+      webhookOperations.push({
+        event,
+        expression,
+        sharedParameters: pathItem.parameters || [],
+        operation: pathItem[method],
+      })
+    })
+  }
+
+  Object.entries(openApiDocument.webhooks || {}).forEach(([name, pathItem]) =>
+    addPathItem(name, pathItem)
+  )
+  Object.entries(openApiDocument.paths || {}).forEach(([path, operations]) => {
+    Object.entries(operations)
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .forEach(([method, operation]) => {
+        Object.entries(operation.callbacks || {}).forEach(
+          ([callbackName, callbackOrRef]) => {
+            // the event names don't depend on how operations are renamed
+            const operationId = operation.operationId || `${method}${path}`
+            const callback = resolveComponent(openApiDocument, callbackOrRef)
+            Object.entries(callback).forEach(([expression, pathItem]) =>
+              addPathItem(
+                `${operationId}.${callbackName}`,
+                pathItem,
+                expression
+              )
+            )
+          }
+        )
+      })
+  })
+
+  return webhookOperations
+}
+
+/**
+ * creates the `Webhooks` namespace with the types of all webhooks and
+ * callbacks, and a dispatcher which routes incoming requests to typed
+ * handlers. the handler map must handle every event, so that new webhooks
+ * in the document cause type errors until they are handled.
+ */
+function createWebhookDispatcher({ events, namespaces }) {
+  const handlers = events.map(
+    ({ event, typeName, hasRequestBody, hasHeaders, comment }) => {
+      const body = hasRequestBody
+        ? `Webhooks.${typeName}.RequestBody`
+        : 'unknown'
+      const headers = hasHeaders
+        ? `Webhooks.${typeName}.HeaderParameters`
+        : 'NonNullable<WebhookRequest["headers"]>'
+      const response = `Webhooks.${typeName}.Response`
+      const handler = `${JSON.stringify(event)}: (request: {
+        body: ${body}
+        headers: ${headers}
+      }) => ${response} | Promise<${response}>`
+      return comment ? `${comment}\n${handler}` : handler
+    }
+  )
+  const routes = events.map(({ event, expression, requiredHeaders }) => {
+    const route = [`event: ${JSON.stringify(event)}`]
+    const pathPattern = expression && createPathPattern(expression)
+    if (pathPattern) {
+      route.push(`path: ${pathPattern}`)
+    }
+    if (requiredHeaders.length !== 0) {
+      route.push(`requiredHeaders: ${JSON.stringify(requiredHeaders)}`)
+    }
+    return `{ ${route.join(', ')} }`
+  })
+
+  return [
+    `export namespace Webhooks {
+      ${namespaces.join('\n\n')}
+    }`,
+    `/**
+     * a webhook or callback request received by the server. webhooks are
+     * identified by their event name, e.g. from an event header. callbacks
+     * can also be identified by the path they were received at.
+     */
+    export type WebhookRequest = {
+      event?: string
+      path?: string
+      body: unknown
+      headers?: Record<string, string | Array<string> | undefined>
+    }`,
+    `/**
+     * handlers receive the body and headers of a webhook, and return the
+     * response body.
+     */
+    export type WebhookHandlers = {
+      ${handlers.join('\n')}
+    }`,
+    `const webhookRoutes: Array<{
+      event: keyof WebhookHandlers
+      path?: RegExp
+      requiredHeaders?: Array<string>
+    }> = [
+      ${routes.join(',\n')}
+    ]`,
+    `/**
+     * creates a function which calls the handler of a webhook or callback
+     * request, and returns the response body. header names are passed to the
+     * handlers in lower case.
+     */
+    export function createWebhookDispatcher(handlers: WebhookHandlers) {
+      return async function dispatchWebhook(request: WebhookRequest): Promise<unknown> {
+        const route = webhookRoutes.find(({ event, path }) =>
+          request.event !== undefined
+            ? event === request.event
+            : request.path !== undefined && path !== undefined && path.test(request.path)
+        )
+        if (!route) {
+          throw new Error(\`Unknown webhook "\${request.event ?? request.path}".\`)
+        }
+        const headers: NonNullable<WebhookRequest["headers"]> = {}
+        Object.entries(request.headers ?? {}).forEach(([name, value]) => {
+          headers[name.toLowerCase()] = value
+        })
+        const missingHeaders = (route.requiredHeaders ?? []).filter(
+          (name) => headers[name] === undefined
+        )
+        if (missingHeaders.length !== 0) {
+          throw new Error(\`Missing headers \${missingHeaders.join(', ')} for webhook "\${route.event}".\`)
+        }
+        // the handlers are typed by the webhook definitions
+        const handler = handlers[route.event] as (request: {
+          body: unknown
+          headers: unknown
+        }) => unknown
+        return handler({ body: request.body, headers })
+      }
+    }`,
+  ]
+}
+
+/**
+ * creates a pattern which matches the paths of a callback url expression,
+ * e.g. `{$request.body#/callbackUrl}/events`. runtime expressions can contain
+ * whole urls, and match any text.
+ */
+function createPathPattern(expression) {
+  const [path] = expression.replace(/^[a-z]+:\/\/[^/{]+/i, '').split('?')
+  const parts = path.split(/\{[^}]*\}/)
+  // expressions like `{$request.body#/callbackUrl}` cannot be matched
+  if (parts.every((part) => part === '')) return undefined
+  const pattern = parts
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('.*')
+  return `/${path.startsWith('{') ? '' : '^'}${pattern}$/`
+}
+
+function resolveComponent(openApiDocument, objectOrRef) {
+  if (!isRef(objectOrRef)) return objectOrRef
+  const { $ref: ref } = objectOrRef
+  const [, section, name] = ref.match(/^#\/components\/([^/]+)\/([^/]+)$/) || []
+  const { components = {} } = openApiDocument
+  if (!section || !components[section] || !components[section][name]) {
+    throw new Error(`Unknown $ref ${ref}.`)
+  }
+  return resolveComponent(openApiDocument, components[section][name])
+}
@@ -0,0 +1,432 @@
+const {
+  isRef,
+  getTypeNameFromRef,
+  resolveRef,
+  typeVariants,
+  isDiscriminatorBaseSchema,
+  getDiscriminatorTargetRefs,
+  getDiscriminatorValues,
+  isExcludedFromTypeVariant,
+  hasTypeVariant,
+  getRequestBodySchemas,
+  getResponseSchemas,
+  getParameterSchema,
+} = require('./utils')
+const { getDeclarationName } = require('./names')
+
+/**
+ * string formats which can be checked with built-in zod string validators.
+ */
+const stringFormats = {
+  email: '.email()',
+  uuid: '.uuid()',
+  uri: '.url()',
+  url: '.url()',
+  'date-time': '.datetime({ offset: true })',
+  date: '.regex(/^\\d{4}-\\d{2}-\\d{2}$/)',
+  ipv4: '.ip({ version: "v4" })',
+  ipv6: '.ip({ version: "v6" })',
+  byte: '.regex(/^[A-Za-z0-9+/]*={0,2}$/)',
+}
+
+module.exports = {
+  createZodImports,
+  createValidatorsFromSchemas,
+  createValidatorsFromParameters,
+  createValidatorsFromRequestBodies,
+  createValidatorsFromResponses,
+  createValidator,
+  createZodSchema,
+  createZodUnion,
+}
+
+function createZodImports() {
+  return 'import { z } from "zod"'
+}
+
+function createValidatorsFromSchemas({ openApiDocument }) {
+  const { components } = openApiDocument
+  if (!components || !components.schemas) return []
+
+  return Object.entries(components.schemas)
+    .map(([name, schema]) => {
+      const ref = `#/components/schemas/${name}`
+      // like the types, the validators can be declared in a namespace
+      const typeName = getDeclarationName(getTypeNameFromRef({ $ref: ref }))
+      const validators = [
+        createValidator(typeName, createZodComponentSchema(ref, schema)),
+      ]
+
+      Object.entries(typeVariants).forEach(([variant, { suffix }]) => {
+        if (!hasTypeVariant({ $ref: ref }, variant)) return
+        validators.push(
+          createValidator(
+            typeName + suffix,
+            createZodComponentSchema(ref, schema, variant)
+          )
+        )
+      })
+
+      return validators
+    })
+    .flat()
+}
+
+function createValidatorsFromParameters({ openApiDocument }) {
+  const { components } = openApiDocument
+  if (!components || !components.parameters) return []
+
+  return Object.entries(components.parameters).map(([name, component]) =>
+    createValidator(
+      getTypeNameFromRef({ $ref: `#/components/parameters/${name}` }),
+      createZodSchema(
+        isRef(component) ? component : getParameterSchema(component),
+        'input'
+      )
+    )
+  )
+}
+
+function createValidatorsFromRequestBodies({ openApiDocument }) {
+  const { components } = openApiDocument
+  if (!components || !components.requestBodies) return []
+
+  return Object.entries(components.requestBodies).map(([name, component]) => {
+    // like the type, only use the first media type
+    const [schema] = getRequestBodySchemas(component)
+    return createValidator(
+      getTypeNameFromRef({ $ref: `#/components/requestBodies/${name}` }),
+      createZodSchema(schema, 'input')
+    )
+  })
+}
+
+function createValidatorsFromResponses({ openApiDocument }) {
+  const { components } = openApiDocument
+  if (!components || !components.responses) return []
+
+  return Object.entries(components.responses).map(([name, component]) =>
+    createValidator(
+      getTypeNameFromRef({ $ref: `#/components/responses/${name}` }),
+      isRef(component)
+        ? createZodSchema(component)
+        : component.content
+        ? createZodUnion(
+            getResponseSchemas(component).map((schema) =>
+              createZodSchema(schema, 'output')
+            )
+          )
+        : 'z.void()'
+    )
+  )
+}
+
+function createValidator(name, schemaDefinition) {
+  // annotated, because schemas can reference each other recursively
+  return `export const ${name}Schema: z.ZodTypeAny = ${schemaDefinition}`
+}
+
+function createZodComponentSchema(ref, schema, variant) {
+  // see `createSchemaComponentType`
+  if (isDiscriminatorBaseSchema(schema)) {
+    const { propertyName } = schema.discriminator
+    const targetRefs = getDiscriminatorTargetRefs(schema.discriminator, ref)
+    if (targetRefs.length !== 0) {
+      return createZodUnion(
+        targetRefs.map((targetRef) =>
+          targetRef === ref
+            ? createZodTaggedSchema(
+                createZodSchema(schema, variant),
+                propertyName,
+                getDiscriminatorValues(schema.discriminator, ref)
+              )
+            : createZodSchema({ $ref: targetRef }, variant)
+        )
+      )
+    }
+  }
+  if (schema.allOf) {
+    return createZodAllOfSchema(schema, variant, ref)
+  }
+  return createZodSchema(schema, variant)
+}
+
+function createZodSchema(schema, variant) {
+  if (isRef(schema)) {
+    const typeName = getTypeNameFromRef(schema)
+    const name = hasTypeVariant(schema, variant)
+      ? typeName + typeVariants[variant].suffix
+      : typeName
+    // lazy, because schemas can be used before they are defined
+    return `z.lazy(() => ${name}Schema)`
+  }
+
+  if (schema.allOf) {
+    return createZodAllOfSchema(schema, variant)
+  }
+  if (schema.anyOf) {
+    return createZodOneOfSchema(schema.anyOf, schema.discriminator, variant)
+  }
+  if (schema.not) {
+    throw new Error(`"not" keyword not yet implemented.`)
+  }
+  if (schema.oneOf) {
+    return createZodOneOfSchema(schema.oneOf, schema.discriminator, variant)
+  }
+  // enums can have any type, including arrays and objects
+  if (schema.enum) {
+    return createZodEnumSchema(schema)
+  }
+
+  switch (schema.type) {
+    case 'array':
+      return createZodArraySchema(schema, variant)
+    case 'object':
+      return createZodObjectSchema(schema, variant)
+    default:
+      return createZodScalarSchema(schema)
+  }
+}
+
+function createZodAllOfSchema(schema, variant, ref) {
+  return schema.allOf
+    .map((schemaOrRef) => {
+      if (isRef(schemaOrRef) && isDiscriminatorBaseSchema(schemaOrRef)) {
+        // see `createDerivedType`
+        const baseSchema = resolveRef(schemaOrRef)
+        const baseZodSchema = createZodSchema(baseSchema, variant)
+        if (!ref) return baseZodSchema
+        return createZodTaggedSchema(
+          baseZodSchema,
+          baseSchema.discriminator.propertyName,
+          getDiscriminatorValues(baseSchema.discriminator, ref)
+        )
+      }
+      return createZodSchema(schemaOrRef, variant)
+    })
+    .reduce((intersection, schema) => `${intersection}.and(${schema})`)
+}
+
+function createZodOneOfSchema(schemas, discriminator, variant) {
+  if (!discriminator) {
+    return createZodUnion(
+      schemas.map((schema) => createZodSchema(schema, variant))
+    )
+  }
+  const { propertyName } = discriminator
+  return createZodUnion(
+    schemas.map((schemaOrRef) => {
+      if (!isRef(schemaOrRef)) return createZodSchema(schemaOrRef, variant)
+      return createZodTaggedSchema(
+        createZodSchema(schemaOrRef, variant),
+        propertyName,
+        getDiscriminatorValues(discriminator, schemaOrRef.$ref)
+      )
+    })
+  )
+}
+
+function createZodTaggedSchema(schema, propertyName, values) {
+  const tag = createZodUnion(values.map(createZodLiteral))
+  return `${schema}.and(z.object({ ${JSON.stringify(propertyName)}: ${tag} }))`
+}
+
+function createZodScalarSchema(schema) {
+  switch (schema.type) {
+    case 'boolean':
+      return createZodNullableSchema('z.boolean()', schema)
+    case 'integer':
+      return createZodNullableSchema(
+        'z.number().int()' + createZodNumberConstraints(schema),
+        schema
+      )
+    case 'number':
+      return createZodNullableSchema(
+        'z.number()' + createZodNumberConstraints(schema),
+        schema
+      )
+    case 'string': {
+      if (schema.format === 'binary') {
+        return createZodNullableSchema('z.instanceof(Blob)', schema)
+      }
+      return createZodNullableSchema(
+        'z.string()' + createZodStringConstraints(schema),
+        schema
+      )
+    }
+    default:
+      // a schema object without `type` and `enum` allows any value
+      return 'z.unknown()'
+  }
+}
+
+function createZodNumberConstraints(schema) {
+  const constraints = []
+  // in openapi 3.0, `exclusiveMinimum` and `exclusiveMaximum` are booleans
+  if (typeof schema.minimum === 'number') {
+    constraints.push(
+      `.${schema.exclusiveMinimum === true ? 'gt' : 'gte'}(${schema.minimum})`
+    )
+  }
+  if (typeof schema.maximum === 'number') {
+    constraints.push(
+      `.${schema.exclusiveMaximum === true ? 'lt' : 'lte'}(${schema.maximum})`
+    )
+  }
+  if (typeof schema.multipleOf === 'number') {
+    constraints.push(`.multipleOf(${schema.multipleOf})`)
+  }
+  return constraints.join('')
+}
+
+function createZodStringConstraints(schema) {
+  const constraints = []
+  if (typeof schema.minLength === 'number') {
+    constraints.push(`.min(${schema.minLength})`)
+  }
+  if (typeof schema.maxLength === 'number') {
+    constraints.push(`.max(${schema.maxLength})`)
+  }
+  if (typeof schema.pattern === 'string') {
+    constraints.push(`.regex(new RegExp(${JSON.stringify(schema.pattern)}))`)
+  }
+  // other formats, e.g. "password", don't constrain the value
+  if (stringFormats[schema.format]) {
+    constraints.push(stringFormats[schema.format])
+  }
+  return constraints.join('')
+}
+
+function createZodEnumSchema(schema) {
+  const values = schema.enum.filter((value) => value !== null)
+  const nullable = schema.nullable || values.length !== schema.enum.length
+  const type =
+    values.length !== 0 && values.every((value) => typeof value === 'string')
+      ? `z.enum([${values.map((value) => JSON.stringify(value)).join(', ')}])`
+      : createZodUnion(values.map(createZodLiteral))
+  return nullable ? `${type}.nullable()` : type
+}
+
+function createZodArraySchema(schema, variant) {
+  const constraints = []
+  // the length of tuples is constrained by their elements
+  if (typeof schema.minItems === 'number' && !schema.prefixItems) {
+    constraints.push(`.min(${schema.minItems})`)
+  }
+  if (typeof schema.maxItems === 'number' && !schema.prefixItems) {
+    constraints.push(`.max(${schema.maxItems})`)
+  }
+  if (schema.uniqueItems === true) {
+    // items are compared by value
+    constraints.push(
+      `.refine((items) => new Set(items.map((item) => JSON.stringify(item))).size === items.length, { message: "Array items must be unique." })`
+    )
+  }
+  const type = schema.prefixItems
+    ? createZodTupleSchema(schema, variant)
+    : `z.array(${createZodSchema(schema.items || {}, variant)})`
+  return createZodNullableSchema(type + constraints.join(''), schema)
+}
+
+/**
+ * see `createTupleType`. zod tuples cannot have optional elements, so every
+ * allowed length is a separate tuple.
+ */
+function createZodTupleSchema(schema, variant) {
+  const { prefixItems, items = {}, minItems = 0, maxItems } = schema
+  const elements = prefixItems.map((itemSchema) =>
+    createZodSchema(itemSchema, variant)
+  )
+  const hasRest = items !== false && !(maxItems <= prefixItems.length)
+  const tuples = []
+  for (
+    let length = Math.min(minItems, elements.length);
+    length <= elements.length;
+    length++
+  ) {
+    const tuple = `z.tuple([${elements.slice(0, length).join(', ')}])`
+    tuples.push(
+      length === elements.length && hasRest
+        ? `${tuple}.rest(${createZodSchema(items, variant)})`
+        : tuple
+    )
+  }
+  return createZodUnion(tuples)
+}
+
+function createZodObjectSchema(schema, variant) {
+  const constraints = []
+  if (typeof schema.minProperties === 'number') {
+    constraints.push(
+      `.refine((value) => Object.keys(value).length >= ${schema.minProperties}, { message: "Object must have at least ${schema.minProperties} properties." })`
+    )
+  }
+  if (typeof schema.maxProperties === 'number') {
+    constraints.push(
+      `.refine((value) => Object.keys(value).length <= ${schema.maxProperties}, { message: "Object must have at most ${schema.maxProperties} properties." })`
+    )
+  }
+
+  const { additionalProperties } = schema
+  const additionalPropertiesSchema =
+    additionalProperties === false
+      ? false
+      : additionalProperties === undefined ||
+        additionalProperties === true ||
+        Object.keys(additionalProperties).length === 0
+      ? undefined
+      : createZodSchema(additionalProperties, variant)
+
+  // use record for dictionary
+  if (!schema.properties && additionalPropertiesSchema !== false) {
+    return createZodNullableSchema(
+      `z.record(${additionalPropertiesSchema || 'z.unknown()'})` +
+        constraints.join(''),
+      schema
+    )
+  }
+
+  const requiredProperties = new Set(schema.required)
+  const properties = Object.entries(schema.properties || {})
+    .filter(([, schema]) => !isExcludedFromTypeVariant(schema, variant))
+    .map(([name, schema]) => {
+      const property = createZodSchema(schema, variant)
+      return `${JSON.stringify(name)}: ${
+        requiredProperties.has(name) ? property : `${property}.optional()`
+      }`
+    })
+
+  // like json schema, allow additional properties by default
+  const modifier =
+    additionalPropertiesSchema === false
+      ? '.strict()'
+      : additionalPropertiesSchema
+      ? `.catchall(${additionalPropertiesSchema})`
+      : '.passthrough()'
+
+  return createZodNullableSchema(
+    `z.object({ ${properties.join(', ')} })${modifier}` + constraints.join(''),
+    schema
+  )
+}
+
+function createZodUnion(schemas) {
+  const unique = Array.from(new Set(schemas))
+  if (unique.length === 0) return 'z.never()'
+  if (unique.length === 1) return unique[0]
+  return `z.union([${unique.join(', ')}])`
+}
+
+function createZodLiteral(value) {
+  // arrays and objects are compared by value
+  if (value !== null && typeof value === 'object') {
+    return `z.custom((value) => JSON.stringify(value) === ${JSON.stringify(
+      JSON.stringify(value)
+    )})`
+  }
+  return `z.literal(${JSON.stringify(value)})`
+}
+
+function createZodNullableSchema(type, schema) {
+  return schema.nullable ? `${type}.nullable()` : type
+}
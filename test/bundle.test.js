@@ -0,0 +1,36 @@
+const path = require('path')
+const { promises: fs } = require('fs')
+const { bundle } = require('../src/bundle')
+const { parse } = require('../src/parse')
+
+async function bundleFixture(fileName) {
+  const location = path.join(__dirname, 'fixtures', 'bundle', fileName)
+  const openApiDocument = parse(await fs.readFile(location, 'utf-8'))
+  return bundle({ openApiDocument, location })
+}
+
+describe('bundle', () => {
+  it('adds circular references in $defs and prefixItems to the components', async () => {
+    const { openApiDocument } = await bundleFixture('openapi.yaml')
+    expect(openApiDocument.components.schemas).toEqual({
+      Tree: {
+        type: 'object',
+        properties: {
+          root: { $ref: '#/components/schemas/Tree/$defs/Node' },
+        },
+        $defs: {
+          Node: { $ref: '#/components/schemas/node' },
+        },
+      },
+      node: {
+        type: 'object',
+        properties: {
+          children: {
+            type: 'array',
+            prefixItems: [{ $ref: '#/components/schemas/node' }],
+          },
+        },
+      },
+    })
+  })
+})
@@ -0,0 +1,77 @@
+const { diff } = require('../src/generate')
+
+/**
+ * creates a document with a discriminated union of pets, which is returned
+ * by one operation.
+ */
+function createDocument(petProperties, catProperties) {
+  return {
+    openapi: '3.0.3',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {
+      '/pets': {
+        get: {
+          operationId: 'getPet',
+          responses: {
+            200: {
+              description: 'a pet',
+              content: {
+                'application/json': {
+                  schema: { $ref: '#/components/schemas/Pet' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    components: {
+      schemas: {
+        Pet: {
+          type: 'object',
+          required: ['petType'],
+          properties: { petType: { type: 'string' }, ...petProperties },
+          discriminator: { propertyName: 'petType' },
+        },
+        Cat: {
+          allOf: [
+            { $ref: '#/components/schemas/Pet' },
+            { type: 'object', properties: catProperties },
+          ],
+        },
+        Dog: {
+          allOf: [
+            { $ref: '#/components/schemas/Pet' },
+            { type: 'object', properties: { bark: { type: 'boolean' } } },
+          ],
+        },
+      },
+    },
+  }
+}
+
+describe('diff', () => {
+  it('reports changes of discriminated unions once', async () => {
+    const { breaking, changes } = await diff({
+      base: createDocument(
+        { name: { type: 'string' } },
+        { meow: { type: 'boolean' } }
+      ),
+      head: createDocument(
+        { name: { type: 'integer' } },
+        { purr: { type: 'boolean' } }
+      ),
+    })
+    expect(breaking).toBe(true)
+    expect(changes.map(({ breaking, message }) => [breaking, message])).toEqual(
+      [
+        [
+          true,
+          '200 response (application/json) property "name" changed type from string to integer.',
+        ],
+        [true, '200 response (application/json) property "meow" was removed.'],
+        [false, '200 response (application/json) property "purr" was added.'],
+      ]
+    )
+  })
+})
@@ -0,0 +1,135 @@
+const { resolveNames } = require('../src/names')
+const { runInContext, buildRefMap, getContext } = require('../src/utils')
+
+/**
+ * resolves the names of a document, and returns the type names of the
+ * components, the names of the operations and the messages.
+ */
+function getNames(openApiDocument, options) {
+  return runInContext(() => {
+    buildRefMap({ openApiDocument })
+    const messages = resolveNames({ openApiDocument, ...options })
+    const { refMap, operationNames } = getContext()
+    return {
+      typeNames: Object.fromEntries(refMap),
+      operationNames: Object.fromEntries(operationNames),
+      messages,
+    }
+  })
+}
+
+const openApiDocument = {
+  openapi: '3.0.0',
+  info: { title: 'Pets', version: '1.0.0' },
+  paths: {
+    '/pets': {
+      get: { operationId: 'pet', responses: {} },
+      post: { responses: {} },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: { type: 'object' },
+      Error: { type: 'object' },
+      'pet-list': {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Pet' },
+      },
+    },
+    responses: {
+      NotFound: { description: 'not found' },
+    },
+  },
+}
+
+describe('resolveNames', () => {
+  it('names components and operations', () => {
+    const { typeNames, operationNames } = getNames(openApiDocument)
+    expect(typeNames).toMatchObject({
+      '#/components/schemas/pet-list': 'PetList',
+      '#/components/responses/NotFound': 'NotFoundResponse',
+    })
+    expect(operationNames['post /pets']).toEqual({
+      operationName: 'postPets',
+      typeName: 'PostPets',
+    })
+  })
+
+  it('appends a number to all names of a clashing operation', () => {
+    const { typeNames, operationNames, messages } = getNames(openApiDocument)
+    expect(typeNames['#/components/schemas/Pet']).toBe('Pet')
+    expect(operationNames['get /pets']).toEqual({
+      operationName: 'pet2',
+      typeName: 'Pet2',
+    })
+    expect(messages).toContain(
+      'Renamed operation "pet" to "pet2", because "Pet" is used by schema "Pet".'
+    )
+  })
+
+  it('keeps types which only clash with global values', () => {
+    const { typeNames } = getNames(openApiDocument)
+    expect(typeNames['#/components/schemas/Error']).toBe('Error')
+  })
+
+  it('renames enums which clash with global values', () => {
+    const { typeNames } = getNames(
+      {
+        ...openApiDocument,
+        components: { schemas: { Error: { enum: ['a', 'b'] } } },
+      },
+      { enums: 'const' }
+    )
+    expect(typeNames['#/components/schemas/Error']).toBe('Error2')
+  })
+
+  it('avoids reserved names', () => {
+    const { operationNames, messages } = getNames(openApiDocument, {
+      reservedNames: ['postPets'],
+    })
+    expect(operationNames['post /pets'].operationName).toBe('postPets2')
+    expect(messages).toContain(
+      'Renamed operation "post/pets" to "postPets2", because "postPets" is declared by the generated code.'
+    )
+  })
+
+  it('declares schemas in a namespace', () => {
+    const { typeNames, operationNames, messages } = getNames(openApiDocument, {
+      collisions: 'namespace',
+    })
+    expect(typeNames['#/components/schemas/Pet']).toBe('Schemas.Pet')
+    expect(operationNames['get /pets']).toEqual({
+      operationName: 'pet',
+      typeName: 'Pet',
+    })
+    expect(messages).toEqual([])
+  })
+
+  it('applies a rename map', () => {
+    const { typeNames, operationNames, messages } = getNames(openApiDocument, {
+      collisions: { '#/components/schemas/Pet': 'Animal' },
+    })
+    expect(typeNames['#/components/schemas/Pet']).toBe('Animal')
+    expect(operationNames['get /pets'].operationName).toBe('pet')
+    expect(messages).toEqual(['Renamed schema "Pet" to "Animal".'])
+  })
+
+  it('rejects clashes and unknown keys in a rename map', () => {
+    expect(() =>
+      getNames(openApiDocument, {
+        collisions: { '#/components/schemas/Error': 'Pet' },
+      })
+    ).toThrow('Add "pet" to the rename map.')
+    expect(() =>
+      getNames(openApiDocument, {
+        collisions: { '#/components/schemas/Dog': 'Pet' },
+      })
+    ).toThrow('Unknown "#/components/schemas/Dog" in rename map.')
+  })
+
+  it('rejects unknown strategies', () => {
+    expect(() => getNames(openApiDocument, { collisions: 'prefix' })).toThrow(
+      'Unknown collisions option "prefix".'
+    )
+  })
+})
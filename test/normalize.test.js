@@ -0,0 +1,138 @@
+const { normalizeDocument } = require('../src/normalize')
+
+/**
+ * normalizes a document with the given component schemas, and returns the
+ * normalized component schemas.
+ */
+function normalizeSchemas(schemas, openapi = '3.1.0') {
+  const openApiDocument = normalizeDocument({
+    openApiDocument: {
+      openapi,
+      info: { title: 'Schemas', version: '1.0.0' },
+      components: { schemas },
+    },
+  })
+  return openApiDocument.components.schemas
+}
+
+describe('normalizeDocument', () => {
+  it('keeps openapi 3.0 documents', () => {
+    const schemas = { Name: { type: 'string', nullable: true } }
+    expect(normalizeSchemas(schemas, '3.0.3')).toBe(schemas)
+  })
+
+  it('converts type arrays to nullable schemas and unions', () => {
+    expect(
+      normalizeSchemas({
+        Name: { type: ['string', 'null'] },
+        Id: { type: ['string', 'integer'], description: 'id' },
+        Nothing: { type: 'null' },
+      })
+    ).toEqual({
+      Name: { type: 'string', nullable: true },
+      Id: {
+        description: 'id',
+        anyOf: [
+          { type: 'string', description: 'id' },
+          { type: 'integer', description: 'id' },
+        ],
+      },
+      Nothing: { enum: [null] },
+    })
+  })
+
+  it('converts const to an enum', () => {
+    expect(normalizeSchemas({ Kind: { const: 'dog' } })).toEqual({
+      Kind: { enum: ['dog'] },
+    })
+  })
+
+  it('converts numeric exclusive bounds', () => {
+    expect(
+      normalizeSchemas({
+        Count: { type: 'integer', exclusiveMinimum: 0, exclusiveMaximum: 10 },
+        Ratio: { type: 'number', minimum: 1, exclusiveMinimum: 0 },
+      })
+    ).toEqual({
+      Count: {
+        type: 'integer',
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 10,
+        exclusiveMaximum: true,
+      },
+      Ratio: { type: 'number', minimum: 1 },
+    })
+  })
+
+  it('keeps annotations next to a $ref, and intersects constraints', () => {
+    expect(
+      normalizeSchemas({
+        Pet: { type: 'object' },
+        Owner: {
+          type: 'object',
+          properties: {
+            pet: { $ref: '#/components/schemas/Pet', description: 'a pet' },
+            named: { $ref: '#/components/schemas/Pet', required: ['name'] },
+          },
+        },
+      }).Owner.properties
+    ).toEqual({
+      pet: { $ref: '#/components/schemas/Pet', description: 'a pet' },
+      named: {
+        allOf: [{ $ref: '#/components/schemas/Pet' }, { required: ['name'] }],
+      },
+    })
+  })
+
+  it('moves definitions to the component schemas', () => {
+    expect(
+      normalizeSchemas({
+        Pet: {
+          type: 'object',
+          properties: { tag: { $ref: '#/components/schemas/Pet/$defs/Tag' } },
+          $defs: { Tag: { type: 'string' } },
+        },
+        'Pet.Tag': { type: 'integer' },
+      })
+    ).toEqual({
+      Pet: {
+        type: 'object',
+        properties: { tag: { $ref: '#/components/schemas/Pet.Tag2' } },
+      },
+      'Pet.Tag': { type: 'integer' },
+      'Pet.Tag2': { type: 'string' },
+    })
+  })
+
+  it('converts schemas outside of the components', () => {
+    const openApiDocument = normalizeDocument({
+      openApiDocument: {
+        openapi: '3.1.0',
+        info: { title: 'Webhooks', version: '1.0.0' },
+        webhooks: {
+          newPet: {
+            post: {
+              requestBody: {
+                content: {
+                  'application/json': {
+                    schema: { type: ['object', 'null'] },
+                    example: { schema: { type: ['string', 'null'] } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    })
+    expect(
+      openApiDocument.webhooks.newPet.post.requestBody.content[
+        'application/json'
+      ]
+    ).toEqual({
+      schema: { type: 'object', nullable: true },
+      example: { schema: { type: ['string', 'null'] } },
+    })
+  })
+})
@@ -0,0 +1,114 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ts = require('typescript')
+const { generate } = require('../src/generate')
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: { title: 'Pets', version: '1.0.0' },
+  servers: [{ url: 'https://pets.example.com' }],
+  paths: {
+    '/pets/{petId}': {
+      get: {
+        operationId: 'getPet',
+        parameters: [
+          {
+            name: 'petId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'a pet',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/Pet' },
+              },
+            },
+          },
+        },
+      },
+      put: {
+        operationId: 'updatePet',
+        parameters: [
+          {
+            name: 'petId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+          },
+        ],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/Pet' },
+            },
+          },
+        },
+        responses: { 204: { description: 'updated' } },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Pet: {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string' } },
+      },
+    },
+  },
+}
+
+/**
+ * type-checks the code against a version of `@tanstack/react-query`, which
+ * is installed with an alias, e.g. `@tanstack/react-query-v4`.
+ */
+function typeCheck(code, packageName) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tanstack-query-'))
+  try {
+    const fileName = path.join(directory, 'client.ts')
+    fs.writeFileSync(fileName, code)
+    const program = ts.createProgram([fileName], {
+      strict: true,
+      noEmit: true,
+      skipLibCheck: true,
+      target: ts.ScriptTarget.ES2020,
+      lib: ['lib.es2020.d.ts', 'lib.dom.d.ts'],
+      module: ts.ModuleKind.CommonJS,
+      moduleResolution: ts.ModuleResolutionKind.Node10,
+      types: [],
+      paths: {
+        '@tanstack/react-query': [
+          path.dirname(require.resolve(`${packageName}/package.json`)),
+        ],
+      },
+    })
+    return ts
+      .getPreEmitDiagnostics(program)
+      .map((diagnostic) =>
+        ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')
+      )
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true })
+  }
+}
+
+describe('tanstack-react-query target', () => {
+  let code
+
+  beforeAll(async () => {
+    code = await generate({ openApiDocument, target: 'tanstack-react-query' })
+  })
+
+  it.each(['@tanstack/react-query-v4', '@tanstack/react-query-v5'])(
+    'type-checks with %s',
+    (packageName) => {
+      expect(typeCheck(code, packageName)).toEqual([])
+    }
+  )
+})
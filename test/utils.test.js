@@ -0,0 +1,84 @@
+const {
+  runInContext,
+  buildRefMap,
+  resolveRef,
+  getReturnType,
+  getReturnTypeForMediaType,
+} = require('../src/utils')
+
+describe('getReturnTypeForMediaType', () => {
+  it.each([
+    ['application/json', 'json'],
+    ['application/problem+json', 'json'],
+    ['application/json; charset=utf-8', 'json'],
+    ['text/csv', 'text'],
+    ['application/xml', 'text'],
+    ['application/atom+xml', 'text'],
+    ['application/octet-stream', 'arrayBuffer'],
+    ['application/pdf', 'blob'],
+    ['image/png', 'blob'],
+  ])('decodes %s as %s', (mediaType, returnType) => {
+    expect(getReturnTypeForMediaType(mediaType)).toBe(returnType)
+  })
+})
+
+describe('getReturnType', () => {
+  it('returns none for responses without content', () => {
+    expect(getReturnType([{ description: 'no content' }])).toBe('none')
+  })
+
+  it('prefers json', () => {
+    expect(
+      getReturnType([
+        { description: 'a pet', content: { 'text/plain': {} } },
+        { description: 'a pet', content: { 'application/json': {} } },
+      ])
+    ).toBe('json')
+  })
+
+  it('uses the first media type otherwise', () => {
+    expect(
+      getReturnType([
+        {
+          description: 'a file',
+          content: { 'application/octet-stream': {}, 'image/png': {} },
+        },
+      ])
+    ).toBe('arrayBuffer')
+  })
+})
+
+describe('resolveRef', () => {
+  const openApiDocument = {
+    openapi: '3.0.3',
+    info: { title: 'Refs', version: '1.0.0' },
+    paths: {},
+    components: {
+      parameters: {
+        Limit: { $ref: '#/components/parameters/PageSize' },
+        PageSize: { name: 'limit', in: 'query' },
+        A: { $ref: '#/components/parameters/B' },
+        B: { $ref: '#/components/parameters/A' },
+      },
+    },
+  }
+
+  it('follows references to other components', () => {
+    const parameter = runInContext(() => {
+      buildRefMap({ openApiDocument })
+      return resolveRef({ $ref: '#/components/parameters/Limit' })
+    })
+    expect(parameter).toEqual({ name: 'limit', in: 'query' })
+  })
+
+  it('rejects circular references', () => {
+    expect(() =>
+      runInContext(() => {
+        buildRefMap({ openApiDocument })
+        return resolveRef({ $ref: '#/components/parameters/A' })
+      })
+    ).toThrow(
+      'Circular $ref #/components/parameters/A -> #/components/parameters/B -> #/components/parameters/A.'
+    )
+  })
+})